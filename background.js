@@ -3,130 +3,417 @@
  * Handles context menu creation and coordinates with content script
  */
 
+importScripts('lib/settings.js', 'lib/providers.js', 'lib/presets.js', 'lib/downloads.js', 'lib/image-probe.js', 'lib/sites.js', 'lib/rewrite-rules.js');
+
+const ROOT_MENU_ID = 'hires';
 const CONTEXT_MENU_ID = 'hires-open-original';
+const COPY_URL_MENU_ID = 'hires-copy-url';
+const COPY_IMAGE_MENU_ID = 'hires-copy-image';
+const DOWNLOAD_MENU_ID = 'hires-download-original';
+const SOURCE_PAGE_MENU_ID = 'hires-open-source-page';
+const UPSCALE_MENU_ID = 'hires-upscale';
+const EXTRACT_ALL_MENU_ID = 'hires-extract-all';
+const PRESETS_MENU_ID = 'hires-upscale-presets';
+// Child items are PRESET_MENU_PREFIX + preset id
+const PRESET_MENU_PREFIX = 'hires-preset:';
+// "Upscale N× and save" items are QUICK_MENU_PREFIX + scale
+const QUICK_MENU_PREFIX = 'hires-quick:';
+const QUICK_SCALES = [2, 4];
 
-// Create context menu on extension install/update
-chrome.runtime.onInstalled.addListener(() => {
-  // Remove existing menu items first to avoid duplicate ID error
-  chrome.contextMenus.removeAll(() => {
-    // 1. Open Original
-    chrome.contextMenus.create({
-      id: CONTEXT_MENU_ID,
-      title: 'Open with HiRes',
-      contexts: ['image'],
-      documentUrlPatterns: [
-        'https://www.google.com/*', 'https://google.com/*',
-        'https://www.google.co.uk/*', 'https://www.google.co.jp/*',
-        'https://www.google.ca/*', 'https://www.google.de/*',
-        'http://*/*', 'https://*/*' // Enable everywhere for fallback to thumbnail
-      ]
-    });
+// page/link too: CSS background images and overlaid images have no srcUrl
+const MENU_CONTEXTS = ['image', 'link', 'page'];
+
+// Rebuilds run one after another, so a removeAll never races the creates of the last one
+let menuUpdate = Promise.resolve();
+
+function refreshMenu() {
+  menuUpdate = menuUpdate.then(buildMenu, buildMenu);
+  return menuUpdate;
+}
+
+/**
+ * Build the HiRes submenu. The studio item shows the configured provider and scale;
+ * the preset submenu is left out when that provider doesn't apply presets.
+ */
+async function buildMenu() {
+  const settings = await HiResSettings.load();
+  const adapter = HiResProviders.get(settings.defaultProvider);
+  const label = adapter ? adapter.label : settings.defaultProvider;
 
-    // 2. AI Upscale (New)
-    chrome.contextMenus.create({
-      id: 'hires-upscale',
-      title: 'Upscale with HiRes',
-      contexts: ['image'],
-      documentUrlPatterns: ['<all_urls>'] // Allow upscaling anywhere
+  await chrome.contextMenus.removeAll();
+  const item = (props) => chrome.contextMenus.create({
+    parentId: ROOT_MENU_ID,
+    contexts: MENU_CONTEXTS,
+    documentUrlPatterns: ['<all_urls>'],
+    ...props
+  });
+
+  chrome.contextMenus.create({
+    id: ROOT_MENU_ID,
+    title: 'HiRes',
+    contexts: MENU_CONTEXTS,
+    documentUrlPatterns: ['<all_urls>']
+  });
+
+  // The original, found by the site adapter or the clicked element's sources
+  item({ id: CONTEXT_MENU_ID, title: 'Open with HiRes' });
+  item({ id: COPY_URL_MENU_ID, title: 'Copy original URL' });
+  item({ id: COPY_IMAGE_MENU_ID, title: 'Copy original image' });
+  item({ id: DOWNLOAD_MENU_ID, title: 'Download original' });
+  item({ id: SOURCE_PAGE_MENU_ID, title: 'Open source page' });
+  item({ id: 'hires-separator-upscale', type: 'separator' });
+
+  // Upscaling: in the studio, or straight to a download
+  item({ id: UPSCALE_MENU_ID, title: `Upscale with HiRes (${settings.defaultScale}× · ${label})` });
+  QUICK_SCALES.forEach(scale => {
+    item({ id: QUICK_MENU_PREFIX + scale, title: `Upscale ${scale}× and save` });
+  });
+  if (adapter?.presets) {
+    item({ id: PRESETS_MENU_ID, title: `Upscale with preset and save (${settings.defaultScale}×)` });
+    HiResPresets.list(settings).forEach(preset => {
+      item({ id: PRESET_MENU_PREFIX + preset.id, parentId: PRESETS_MENU_ID, title: preset.name });
     });
+  }
+
+  // Bulk extraction (Google Images results only)
+  const resultsPages = HiResSites.GOOGLE_SEARCH_PAGES;
+  item({ id: 'hires-separator-extract', type: 'separator', documentUrlPatterns: resultsPages });
+  item({
+    id: EXTRACT_ALL_MENU_ID,
+    title: 'Extract all originals on this page',
+    contexts: ['page', 'image'],
+    documentUrlPatterns: resultsPages
   });
-});
+}
+
+// Create the menu on extension install/update, and keep its titles in step with settings
+chrome.runtime.onInstalled.addListener(refreshMenu);
+HiResSettings.onChange(refreshMenu);
 
 // Handle context menu click
 chrome.contextMenus.onClicked.addListener(async (info, tab) => {
-  const action = info.menuItemId;
-  if (action !== CONTEXT_MENU_ID && action !== 'hires-upscale') return;
+  const action = String(info.menuItemId);
 
-  const thumbnailUrl = info.srcUrl;
+  if (action === EXTRACT_ALL_MENU_ID) {
+    startBulkExtract(tab);
+    return;
+  }
+  const run = menuAction(action);
+  if (!run) return;
 
-  if (!thumbnailUrl) {
-    console.error('HiRes: No image URL found');
+  const original = await resolveClicked(info, tab);
+  if (!original) {
+    console.warn('HiRes: No image found under the cursor');
     return;
   }
 
-  // --- HELPER: Logic to decide what to do with the final URL ---
-  const handleFinalUrl = (url) => {
-    if (action === 'hires-upscale') {
-      // Open Upscale Studio
-      chrome.tabs.create({ 
-        url: chrome.runtime.getURL(`upscale.html?img=${encodeURIComponent(url)}`) 
-      });
-    } else {
-      // Just Open Image (Original HiRes behavior)
-      chrome.tabs.create({ url: url });
-    }
-  };
+  try {
+    await run(original, { tab, info, query: getSearchQuery(tab.url) });
+  } catch (error) {
+    console.error(`HiRes: "${action}" failed:`, error);
+  }
+});
 
-  // Check if this is a Google Images page (has tbm=isch in URL)
-  if (!tab.url || !isGoogleImagesUrl(tab.url)) {
-    // Not on Google Images? directly upscale/open the thumbnail
-    handleFinalUrl(thumbnailUrl);
-    return;
+/**
+ * What a menu item does with the resolved original, or null for items that aren't ours
+ * @returns {Function|null} (original, { tab, info, query }) => Promise
+ */
+function menuAction(action) {
+  if (action.startsWith(QUICK_MENU_PREFIX)) {
+    const scale = Number(action.slice(QUICK_MENU_PREFIX.length));
+    return ({ url }, { tab, query }) => openStudio(url, query, { scale, save: true, opener: tab });
+  }
+  if (action.startsWith(PRESET_MENU_PREFIX)) {
+    const preset = action.slice(PRESET_MENU_PREFIX.length);
+    return ({ url }, { tab, query }) => openStudio(url, query, { preset, save: true, opener: tab });
+  }
+
+  switch (action) {
+    case CONTEXT_MENU_ID:
+      return (original, { query }) => openOriginal(original.url, query, original);
+    case UPSCALE_MENU_ID:
+      return ({ url }, { query }) => openStudio(url, query);
+    case DOWNLOAD_MENU_ID:
+      return (original, { query }) => HiResDownloads.download(original.url, 'original', originalVars(original, query));
+    case COPY_URL_MENU_ID:
+      return ({ url }, { tab, info }) => writeClipboard(tab, info.frameId, { text: url });
+    case COPY_IMAGE_MENU_ID:
+      return ({ url }, { tab, info }) => copyImage(tab, info.frameId, url);
+    case SOURCE_PAGE_MENU_ID:
+      return (original, { tab, info }) => {
+        // Site adapters know the page a result came from; elsewhere, the link around the image
+        const page = original.sourcePage || (info.linkUrl !== original.url ? info.linkUrl : null);
+        if (!page) {
+          console.warn('HiRes: No source page known for this image');
+          return;
+        }
+        chrome.tabs.create({ url: page, index: tab.index + 1, openerTabId: tab.id });
+      };
+    default:
+      return null;
   }
+}
+
+/**
+ * The original behind a right-click, the same way for every menu item: the site
+ * adapter, then the clicked element's sources, then the thumbnail itself
+ * @returns {Promise<{url: string, width?: number, height?: number, type?: string, sourcePage?: string|null}|null>}
+ */
+async function resolveClicked(info, tab) {
+  // Undefined for background images - the content script finds those
+  const thumbnailUrl = info.srcUrl;
 
   try {
-    // Request original URL from content script
-    const response = await chrome.tabs.sendMessage(tab.id, {
-      action: 'getOriginalUrl',
-      thumbnailUrl: thumbnailUrl
-    });
+    // Pages with a site adapter (Google, Bing, DuckDuckGo, ...) know where originals live;
+    // anywhere else - or when the adapter comes up empty - read the clicked element's sources
+    // Clicks inside an iframe are answered by that frame, with its own adapter
+    const pageUrl = info.frameUrl || tab.url;
+    const frameId = info.frameId || 0;
+    const site = pageUrl ? HiResSites.match(pageUrl) : null;
+    const best = (site && thumbnailUrl && await resolveOriginal(tab.id, thumbnailUrl, frameId)) ||
+      await resolveFromElement(tab.id, thumbnailUrl, frameId);
+    if (best) return best;
 
-    if (response && response.originalUrl) {
-      handleFinalUrl(response.originalUrl);
-    } else {
-      // Fallback: use thumbnail URL
-      console.warn('HiRes: Original URL not found, using thumbnail');
-      handleFinalUrl(thumbnailUrl);
-    }
+    // Every candidate was dead
+    if (thumbnailUrl) console.warn('HiRes: No valid original found, using thumbnail');
   } catch (error) {
-    // Content script not ready or error occurred
-    console.error('HiRes: Error communicating with content script:', error);
-
-    // Try to inject content script and retry
-    try {
-      await chrome.scripting.executeScript({
-        target: { tabId: tab.id },
-        files: ['content.js']
-      });
-
-      // Wait for script to initialize
-      await new Promise(r => setTimeout(r, 100));
-
-      // Retry after injection
-      const response = await chrome.tabs.sendMessage(tab.id, {
-        action: 'getOriginalUrl',
-        thumbnailUrl: thumbnailUrl
-      });
-
-      if (response && response.originalUrl) {
-        handleFinalUrl(response.originalUrl);
-      } else {
-        handleFinalUrl(thumbnailUrl);
+    console.error('HiRes: Content script unavailable:', error);
+  }
+  return thumbnailUrl ? { url: thumbnailUrl } : null;
+}
+
+/**
+ * Open Upscale Studio on an image
+ * @param {Object} [options]
+ * @param {string} [options.preset] - Preset id to start with
+ * @param {number} [options.scale] - Scale to start with, instead of the default
+ * @param {boolean} [options.save] - Upscale, download and close, in a background tab next to opener
+ * @param {chrome.tabs.Tab} [options.opener] - The tab the image came from
+ */
+function openStudio(url, query, { preset, scale, save, opener } = {}) {
+  const params = new URLSearchParams({ img: url, q: query });
+  if (preset) params.set('preset', preset);
+  if (scale) params.set('scale', scale);
+  if (save) params.set('then', 'save');
+
+  const studio = { url: chrome.runtime.getURL(`upscale.html?${params}`) };
+  if (save) studio.active = false;
+  if (opener) Object.assign(studio, { index: opener.index + 1, openerTabId: opener.id });
+  chrome.tabs.create(studio);
+}
+
+/**
+ * File name variables for a probed original - its type gives extensionless URLs
+ * (…/image?id=123) the right extension
+ */
+function originalVars(original, query) {
+  return {
+    query,
+    width: original.width,
+    height: original.height,
+    ext: original.type && HiResDownloads.MIME_EXTENSIONS[`image/${original.type}`]
+  };
+}
+
+/**
+ * Open and/or save an original, per the "Open with HiRes" setting
+ * @param {Object} [info] - Probed { width, height, type } for the file name
+ */
+async function openOriginal(url, query, info = {}) {
+  const { downloads } = await HiResSettings.load();
+  if (downloads.openAction !== 'download') {
+    chrome.tabs.create({ url: url });
+  }
+  if (downloads.openAction !== 'tab') {
+    HiResDownloads.download(url, 'original', originalVars(info, query))
+      .catch(error => console.error('HiRes: Download failed:', error));
+  }
+}
+
+/**
+ * Write to the clipboard from the right-clicked frame - the service worker has none of its own
+ * @param {{text?: string, png?: string}} data - Text, or a PNG as base64 (script arguments must be JSON)
+ */
+async function writeClipboard(tab, frameId, data) {
+  const [injection] = await chrome.scripting.executeScript({
+    target: { tabId: tab.id, frameIds: [frameId || 0] },
+    args: [data],
+    func: async ({ text, png }) => {
+      try {
+        if (png) {
+          const bytes = Uint8Array.from(atob(png), c => c.charCodeAt(0));
+          await navigator.clipboard.write([new ClipboardItem({ 'image/png': new Blob([bytes], { type: 'image/png' }) })]);
+        } else if (navigator.clipboard) {
+          await navigator.clipboard.writeText(text);
+        } else {
+          // Plain http pages have no async clipboard
+          const area = document.createElement('textarea');
+          area.value = text;
+          document.body.appendChild(area);
+          area.select();
+          document.execCommand('copy');
+          area.remove();
+        }
+        return null;
+      } catch (error) {
+        return error.message;
       }
-    } catch (retryError) {
-      console.error('HiRes: Retry failed:', retryError);
-      handleFinalUrl(thumbnailUrl);
     }
+  });
+  if (injection?.result) throw new Error(injection.result);
+}
+
+/**
+ * Copy an image to the clipboard as PNG, the one image type the clipboard reliably takes
+ */
+async function copyImage(tab, frameId, url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  let blob = await response.blob();
+
+  if (blob.type !== 'image/png') {
+    const bitmap = await createImageBitmap(blob);
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0);
+    bitmap.close();
+    blob = await canvas.convertToBlob({ type: 'image/png' });
+  }
+
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  await writeClipboard(tab, frameId, { png: btoa(binary) });
+}
+
+// Thumbnail badges and their hover buttons on Google Images (content.js)
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.action === 'probeCandidates') {
+    HiResProbe.rank(message.candidates)
+      .then(ranked => sendResponse({ best: ranked[0] || null }))
+      .catch(() => sendResponse({ best: null }));
+    return true;
   }
+
+  const query = sender.tab?.url ? getSearchQuery(sender.tab.url) : '';
+  if (message.action === 'openOriginal') {
+    openOriginal(message.url, query, message);
+    sendResponse({ ok: true });
+  } else if (message.action === 'upscaleOriginal') {
+    openStudio(message.url, query);
+    sendResponse({ ok: true });
+  }
+  return false;
 });
 
 /**
- * Check if URL is a Google Images search page
+ * Ask the content script for every candidate original, probe them all and
+ * return the largest one that really is an image. When every quick candidate
+ * is dead, retry once through Google's preview panel.
+ * @returns {Promise<{url: string, width: number, height: number, type: string, sourcePage: string|null}|null>}
+ */
+async function resolveOriginal(tabId, thumbnailUrl, frameId = 0) {
+  const response = await sendToContentScript(tabId, {
+    action: 'getOriginalUrl',
+    thumbnailUrl: thumbnailUrl
+  }, frameId);
+
+  let ranked = await HiResProbe.rank(response?.candidates);
+
+  if (ranked.length === 0 && response?.fastPath) {
+    const deep = await sendToContentScript(tabId, {
+      action: 'getOriginalUrl',
+      thumbnailUrl: thumbnailUrl,
+      deep: true
+    }, frameId);
+    ranked = await HiResProbe.rank(deep?.candidates);
+  }
+
+  return ranked[0] ? { ...ranked[0], sourcePage: response?.sourcePage || null } : null;
+}
+
+/**
+ * Collect every source the right-clicked element offers (srcset, <picture>,
+ * lazy-load attributes, CSS backgrounds), undo known CDN resizing on each,
+ * probe them all and return the largest real image (or null)
+ */
+async function resolveFromElement(tabId, srcUrl, frameId = 0) {
+  let sources = [];
+  try {
+    const response = await sendToContentScript(tabId, { action: 'getImageSources', srcUrl }, frameId);
+    sources = response?.candidates || [];
+  } catch (error) {
+    // Pages content scripts can't run on (Web Store, chrome:// ...)
+    console.warn('HiRes: Cannot read image sources:', error);
+  }
+
+  const direct = [...new Set([...sources, srcUrl].filter(Boolean))];
+  if (direct.length === 0) return null;
+
+  const settings = await HiResSettings.load();
+  const rules = HiResRewrite.activeRules(settings);
+  const candidates = [...new Set(direct.flatMap(url => HiResRewrite.candidates(url, rules)))];
+
+  const ranked = await HiResProbe.rank(candidates);
+  return ranked[0] || null;
+}
+
+/**
+ * Message the content script in one frame of a tab (the top one by default),
+ * injecting it first if it isn't there yet
  */
-function isGoogleImagesUrl(url) {
+async function sendToContentScript(tabId, message, frameId = 0) {
   try {
-    const urlObj = new URL(url);
-    const hostname = urlObj.hostname;
-    const searchParams = urlObj.searchParams;
+    return await chrome.tabs.sendMessage(tabId, message, { frameId });
+  } catch (error) {
+    // Content script not ready (e.g. tab opened before install)
+    console.warn('HiRes: Content script not ready, injecting:', error);
 
-    // Check if it's a Google domain
-    const isGoogleDomain = hostname.match(/^www\.google\.(com|co\.\w+|com\.\w+)$/);
-    if (!isGoogleDomain) return false;
+    await chrome.scripting.executeScript({
+      target: { tabId, frameIds: [frameId] },
+      files: ['lib/settings.js', 'lib/sites.js', 'content.js']
+    });
+
+    // Wait for script to initialize
+    await new Promise(r => setTimeout(r, 100));
 
-    // Check if it's an image search (tbm=isch)
-    return searchParams.get('tbm') === 'isch' ||
-           searchParams.get('udm') === '2'; // New Google Images param
+    return await chrome.tabs.sendMessage(tabId, message, { frameId });
+  }
+}
+
+/**
+ * Open the gallery page for a bulk "Extract all originals" run on this tab
+ */
+async function startBulkExtract(tab) {
+  if (!tab.url || HiResSites.match(tab.url)?.id !== 'google') {
+    console.warn('HiRes: Bulk extraction only works on Google Images results');
+    return;
+  }
+
+  try {
+    // Make sure the content script is there before the gallery starts talking to it
+    await sendToContentScript(tab.id, { action: 'ping' });
+  } catch (error) {
+    console.error('HiRes: Cannot reach results page:', error);
+    return;
+  }
+
+  const query = getSearchQuery(tab.url);
+  chrome.tabs.create({
+    url: chrome.runtime.getURL(`gallery.html?tab=${tab.id}&q=${encodeURIComponent(query)}`),
+    index: tab.index + 1
+  });
+}
+
+/**
+ * The search terms of a results page, for download file names
+ */
+function getSearchQuery(url) {
+  try {
+    const params = new URL(url).searchParams;
+    return params.get('q') || params.get('text') || '';
   } catch {
-    return false;
+    return '';
   }
 }
@@ -1,15 +1,22 @@
 /**
  * HiRes - Content Script
- * Click-and-extract approach - triggers Google's preview panel to get the high-res URL
+ * Reads Google's embedded result data first; falls back to triggering the
+ * preview panel to get the high-res URL. On other sites, runs the site adapter
+ * or reads every size a responsive image offers.
  */
 
 (function () {
   'use strict';
 
+  // Injected again on demand (background.js) into a page that already has it
+  if (self.hiresContentLoaded) return;
+  self.hiresContentLoaded = true;
+
   const DEBUG = false;
   const log = (...args) => DEBUG && console.log('[HiRes]', ...args);
 
   let lastRightClickedElement = null;
+  let lastRightClickPoint = null;
 
   /**
    * Check if URL is a direct image file URL (not a webpage)
@@ -112,73 +119,87 @@
   }
 
   /**
-   * Wait for and extract the high-res URL from preview panel
+   * Collect every plausible high-res URL currently shown in the preview panel
    */
+  function findPreviewCandidates() {
+    const found = [];
+
+    // Method 1: Look for large images in the preview area
+    const previewImages = document.querySelectorAll(
+      '#islsp img, [role="dialog"] img, .islsp img, [jsname="HiaYvf"], [jsname="kn3ccd"], img.sFlh5c, img.iPVvYb, img.n3VNCb'
+    );
+
+    for (const img of previewImages) {
+      const src = img.src || img.getAttribute('data-src');
+      if (isDirectImageUrl(src)) {
+        // Check if it's reasonably large (not another thumbnail)
+        // LOWERED THRESHOLD: Any image larger than a tiny icon is likely the one we want loading
+        const width = img.naturalWidth || img.width || 0;
+        if (width > 150) {
+          found.push(src);
+        }
+      }
+    }
+
+    // Method 2: Look for links with imgurl parameter
+    const imgLinks = document.querySelectorAll('a[href*="imgurl="]');
+    for (const link of imgLinks) {
+      const match = link.href.match(/imgurl=([^&]+)/);
+      if (match) {
+        try {
+          const decoded = decodeURIComponent(match[1]);
+          if (isDirectImageUrl(decoded) || HiResSites.wikiFileTitle(decoded)) {
+            found.push(decoded);
+          }
+        } catch (e) { }
+      }
+    }
+
+    // Method 3: Look for "Visit" button that might have the source URL
+    // (Wikimedia file pages count too - they are resolved to the file later)
+    const visitLinks = document.querySelectorAll('a[href]:not([href*="google.com"])');
+    for (const link of visitLinks) {
+      const href = link.href;
+      if (isDirectImageUrl(href) || HiResSites.wikiFileTitle(href)) {
+        const rect = link.getBoundingClientRect();
+        // Make sure it's visible (in the preview panel)
+        if (rect.width > 0 && rect.height > 0) {
+          found.push(href);
+        }
+      }
+    }
+
+    return found;
+  }
+
   /**
-   * Wait for and extract the high-res URL from preview panel
-   * Uses requestAnimationFrame for checking every frame (approx 16ms)
+   * Wait for the preview panel to show high-res candidates
+   * Uses requestAnimationFrame for checking every frame (approx 16ms).
+   * Once the first candidate appears, keeps collecting briefly so slower ones aren't missed.
    */
-  async function waitForHighResUrl(maxWait = 5000) {
+  async function waitForPreviewCandidates(maxWait = 5000, settle = 250) {
     const startTime = Date.now();
+    const candidates = new Set();
+    let firstFoundAt = 0;
 
     return new Promise((resolve) => {
       const check = () => {
-        if (Date.now() - startTime > maxWait) {
-          log('Timeout waiting for preview');
-          resolve(null);
-          return;
-        }
+        findPreviewCandidates().forEach(url => candidates.add(url));
 
-        // Method 1: Look for large images in the preview area
-        const previewImages = document.querySelectorAll(
-          '#islsp img, [role="dialog"] img, .islsp img, [jsname="HiaYvf"], [jsname="kn3ccd"], img.sFlh5c, img.iPVvYb, img.n3VNCb'
-        );
-
-        for (const img of previewImages) {
-          const src = img.src || img.getAttribute('data-src');
-          if (isDirectImageUrl(src)) {
-            // Check if it's reasonably large (not another thumbnail)
-            // LOWERED THRESHOLD: Any image larger than a tiny icon is likely the one we want loading
-            const width = img.naturalWidth || img.width || 0;
-            if (width > 150) {
-              log('Found high-res image:', src.substring(0, 80));
-              resolve(src);
-              return;
-            }
-          }
+        if (candidates.size > 0 && !firstFoundAt) {
+          firstFoundAt = Date.now();
+          log('Found preview candidate:', [...candidates][0].substring(0, 80));
         }
 
-        // Method 2: Look for links with imgurl parameter
-        const imgLinks = document.querySelectorAll('a[href*="imgurl="]');
-        for (const link of imgLinks) {
-          const href = link.href;
-          const match = href.match(/imgurl=([^&]+)/);
-          if (match) {
-            try {
-              const decoded = decodeURIComponent(match[1]);
-              if (isDirectImageUrl(decoded)) {
-                log('Found via imgurl:', decoded.substring(0, 80));
-                resolve(decoded);
-                return;
-              }
-            } catch (e) { }
-          }
+        if (firstFoundAt && Date.now() - firstFoundAt >= settle) {
+          resolve([...candidates]);
+          return;
         }
 
-        // Method 3: Look for "Visit" button that might have the source URL
-        const visitLinks = document.querySelectorAll('a[href]:not([href*="google.com"])');
-        for (const link of visitLinks) {
-          const href = link.href;
-          // Check if it's an image URL
-          if (isDirectImageUrl(href)) {
-            const rect = link.getBoundingClientRect();
-            // Make sure it's visible (in the preview panel)
-            if (rect.width > 0 && rect.height > 0) {
-              log('Found via visible link:', href.substring(0, 80));
-              resolve(href);
-              return;
-            }
-          }
+        if (Date.now() - startTime > maxWait) {
+          log('Timeout waiting for preview');
+          resolve([...candidates]);
+          return;
         }
 
         // Keep checking - SYNC WITH RENDER LOOP
@@ -189,14 +210,104 @@
     });
   }
 
+  // --- EMBEDDED DATA: Google's inline result payloads ---
+  // Result pages ship their data in inline scripts (AF_initDataCallback). Each result
+  // carries [thumbnailUrl, h, w], [originalUrl, h, w] and, a little later, its source page.
+
+  const EMBEDDED_RESULT_PATTERN = /(?:\[0,"([\w-]+)",)?\["(https:\/\/encrypted-tbn\d\.gstatic\.com\/images\?[^"]+)",(\d+),(\d+)\],\["(https?:\/\/[^"]+)",(\d+),(\d+)\]/g;
+  const EMBEDDED_SOURCE_PATTERN = /"2003":\[null,"[^"]*","(https?:\/\/[^"]+)"/;
+  const EMBEDDED_SOURCE_WINDOW = 4000;
+
+  let embeddedIndex = null;
+  let embeddedScriptCount = -1;
+
   /**
-   * Main extraction function
+   * Decode a JS string literal body (=, \/ ...)
    */
-  async function extractHighResUrl(thumbnailElement) {
-    log('Starting extraction...');
+  function decodeJsString(value) {
+    try {
+      return JSON.parse(`"${value}"`);
+    } catch {
+      return value;
+    }
+  }
+
+  /**
+   * Stable key for a Google thumbnail: the tbn: token survives host and param changes
+   */
+  function thumbnailKey(url) {
+    const match = (url || '').match(/tbn:([\w-]+)/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Index every result in the page's inline payloads by thumbnail token and doc ID.
+   * Rebuilt only when new inline scripts appear.
+   */
+  function getEmbeddedIndex() {
+    const scripts = document.querySelectorAll('script:not([src])');
+    if (embeddedIndex && scripts.length === embeddedScriptCount) return embeddedIndex;
+
+    embeddedScriptCount = scripts.length;
+    embeddedIndex = { byThumbnail: new Map(), byDocId: new Map() };
+
+    for (const script of scripts) {
+      const text = script.textContent;
+      if (!text.includes('encrypted-tbn')) continue;
+
+      for (const match of text.matchAll(EMBEDDED_RESULT_PATTERN)) {
+        const [, docId, thumb, , , original, height, width] = match;
+        const tail = text.substr(match.index + match[0].length, EMBEDDED_SOURCE_WINDOW);
+        const source = tail.match(EMBEDDED_SOURCE_PATTERN);
+
+        const entry = {
+          url: decodeJsString(original),
+          width: parseInt(width, 10),
+          height: parseInt(height, 10),
+          sourcePage: source ? decodeJsString(source[1]) : null
+        };
+
+        const key = thumbnailKey(decodeJsString(thumb));
+        if (key) embeddedIndex.byThumbnail.set(key, entry);
+        if (docId) embeddedIndex.byDocId.set(docId, entry);
+      }
+    }
+
+    log('Embedded index:', embeddedIndex.byThumbnail.size, 'results');
+    return embeddedIndex;
+  }
+
+  /**
+   * Look a thumbnail up in the embedded payloads - no clicks, no waiting
+   * @returns {{url: string, width: number, height: number, sourcePage: string|null}|null}
+   */
+  function findEmbeddedResult(thumbnailElement) {
+    try {
+      const index = getEmbeddedIndex();
+
+      const container = thumbnailElement.closest('[data-docid], [data-tbnid], [data-id]');
+      const docId = container && (container.dataset.docid || container.dataset.tbnid || container.dataset.id);
+      if (docId && index.byDocId.has(docId)) {
+        return index.byDocId.get(docId);
+      }
+
+      const img = thumbnailElement.tagName === 'IMG' ? thumbnailElement : thumbnailElement.querySelector('img');
+      const key = thumbnailKey(img && (img.getAttribute('data-src') || img.src));
+      if (key && index.byThumbnail.has(key)) {
+        return index.byThumbnail.get(key);
+      }
+    } catch (e) {
+      log('Embedded lookup failed', e);
+    }
+    return null;
+  }
+
+  /**
+   * Candidates readable straight from the thumbnail's link (0ms, no interaction)
+   */
+  function findFastPathCandidates(thumbnailElement) {
+    const found = [];
 
-    // --- FAST PATH: Metadata Extraction ---
-    // Try to find the URL directly in the link attributes before simulating any interaction.
     try {
       const parentLink = thumbnailElement.closest('a');
       if (parentLink) {
@@ -206,31 +317,59 @@
         // 1. Check for 'imgurl' parameter (classic Google Images structure)
         if (params.has('imgurl')) {
           const imgUrl = decodeURIComponent(params.get('imgurl'));
-          if (isDirectImageUrl(imgUrl)) {
-            log('FAST PATH SUCCESS: Found via imgurl param:', imgUrl);
-            return imgUrl;
+          if (isDirectImageUrl(imgUrl) || HiResSites.wikiFileTitle(imgUrl)) {
+            log('FAST PATH: Found via imgurl param:', imgUrl);
+            found.push(imgUrl);
           }
         }
 
         // 2. Check for data-encoded attributes (sometimes used in newer layouts)
         // This is heuristic and might change, but worth a try (0ms cost)
-        const possibleUrls = href.match(/https?:\/\/[^"'\s]+\.(jpg|png|jpeg|webp)/gi);
-        if (possibleUrls) {
-          for (const url of possibleUrls) {
-            // Filter out thumbnails
-            if (isDirectImageUrl(url) && !url.includes('encrypted-tbn')) {
-              log('FAST PATH SUCCESS: Found via regex match:', url);
-              return url;
-            }
+        const possibleUrls = href.match(/https?:\/\/[^"'\s]+\.(jpg|png|jpeg|webp)/gi) || [];
+        for (const url of possibleUrls) {
+          // Filter out thumbnails
+          if (isDirectImageUrl(url) && !url.includes('encrypted-tbn')) {
+            log('FAST PATH: Found via regex match:', url);
+            found.push(url);
           }
         }
       }
     } catch (e) {
-      log('Fast path check failed, proceeding to slow path', e);
+      log('Fast path check failed', e);
+    }
+
+    return found;
+  }
+
+  /**
+   * Gather every candidate original for a thumbnail, best guess first.
+   * The background probes them and picks the largest one that actually loads.
+   * @param {Element} thumbnailElement
+   * @param {Object} [options]
+   * @param {boolean} [options.deep] - Skip the fast path and always open the preview panel
+   * @param {boolean} [options.quick] - Never open the preview panel; only read what the page holds
+   * @returns {Promise<{candidates: string[], fastPath: boolean, sourcePage: string|null}>}
+   */
+  async function collectGoogleCandidates(thumbnailElement, { deep = false, quick = false } = {}) {
+    log('Starting extraction...');
+
+    // --- FAST PATH: Metadata Extraction ---
+    const fast = findFastPathCandidates(thumbnailElement);
+
+    // Embedded payload entries know the size and source page too
+    const embedded = findEmbeddedResult(thumbnailElement);
+    if (embedded && isDirectImageUrl(embedded.url)) {
+      log('EMBEDDED DATA:', embedded.url, `${embedded.width}x${embedded.height}`);
+      fast.unshift(embedded.url);
+    }
+    const sourcePage = embedded?.sourcePage || null;
+
+    if ((fast.length > 0 && !deep) || quick) {
+      return { candidates: await expandWikiFilePages(fast), fastPath: true, sourcePage };
     }
 
     // --- ROBUST PATH: Invisible Ghost Click ---
-    // Fallback to triggering the preview if Fast Path failed.
+    // Fallback to triggering the preview if Fast Path failed (or its URLs were dead).
 
     // Step 0: PRE-CLEAN
     // Ensure any existing preview is closed so we don't grab stale data
@@ -245,18 +384,17 @@
       log('Triggering preview...');
       triggerPreview(thumbnailElement);
 
-      // Wait for high-res URL to appear
-      const highResUrl = await waitForHighResUrl(5000);
+      // Wait for high-res URLs to appear
+      const preview = await waitForPreviewCandidates(5000);
 
       // Close the preview IMMEDIATELY
       closePreview();
-      // REMOVED delay: await new Promise(r => setTimeout(r, 50));
 
-      return highResUrl;
+      return { candidates: await expandWikiFilePages([...preview, ...fast]), fastPath: false, sourcePage };
 
     } catch (e) {
       log('Extraction error:', e);
-      return null;
+      return { candidates: fast, fastPath: false, sourcePage };
     } finally {
       // Clean up CSS
       showPreview(hideStyle);
@@ -266,9 +404,928 @@
     }
   }
 
+  /**
+   * Ask the background to probe candidates; the largest real image, or null
+   */
+  async function probeCandidates(candidates) {
+    if (candidates.length === 0) return null;
+    const response = await chrome.runtime.sendMessage({ action: 'probeCandidates', candidates });
+    return response?.best || null;
+  }
+
+  /**
+   * Verified original for a thumbnail, the way single-image extraction finds it:
+   * probe the quick candidates, and when every one is dead retry once through
+   * the preview panel
+   */
+  async function findOriginal(thumbnailElement) {
+    const { candidates, fastPath } = await collectGoogleCandidates(thumbnailElement);
+    const best = await probeCandidates(candidates);
+    if (best || !fastPath) return best;
+
+    const deep = await collectGoogleCandidates(thumbnailElement, { deep: true });
+    return probeCandidates(deep.candidates);
+  }
+
+  // --- WIKIMEDIA: file description pages -> the file itself ---
+
+  /**
+   * Resolve a /wiki/File: page to its original upload through the wiki's API (CORS-enabled)
+   * @returns {Promise<{url: string, width: number, height: number}|null>}
+   */
+  async function resolveWikiFilePage(pageUrl) {
+    const title = HiResSites.wikiFileTitle(pageUrl);
+    if (!title) return null;
+
+    try {
+      const api = new URL('/w/api.php', pageUrl);
+      api.search = new URLSearchParams({
+        action: 'query',
+        titles: title,
+        prop: 'imageinfo',
+        iiprop: 'url|size',
+        format: 'json',
+        origin: '*'
+      });
+
+      const data = await (await fetch(api)).json();
+      const page = Object.values(data.query?.pages || {})[0];
+      const info = page?.imageinfo?.[0];
+      return info ? { url: info.url, width: info.width, height: info.height } : null;
+    } catch (e) {
+      log('Wiki file lookup failed:', e);
+      return null;
+    }
+  }
+
+  /**
+   * Swap any file description pages in a candidate list for their files
+   */
+  async function expandWikiFilePages(candidates) {
+    const expanded = await Promise.all([...new Set(candidates)].map(async url => {
+      if (!HiResSites.wikiFileTitle(url)) return url;
+      const file = await resolveWikiFilePage(url);
+      return file ? file.url : null;
+    }));
+    return [...new Set(expanded.filter(Boolean))];
+  }
+
+  // --- OTHER SITES ---
+
+  /**
+   * Poll every frame until read() returns candidates, or time runs out
+   */
+  function pollFor(read, maxWait = 3000) {
+    const startTime = Date.now();
+    return new Promise((resolve) => {
+      const check = () => {
+        const found = read();
+        if (found.length > 0 || Date.now() - startTime > maxWait) {
+          resolve(found);
+          return;
+        }
+        requestAnimationFrame(check);
+      };
+      check();
+    });
+  }
+
+  /**
+   * The <img> a right-click was meant for
+   */
+  function imageFor(element) {
+    if (element.tagName === 'IMG') return element;
+    return element.querySelector('img') || element.closest('a, figure, div')?.querySelector('img') || null;
+  }
+
+  function parseJsonAttribute(element, name) {
+    try {
+      return JSON.parse(element.getAttribute(name));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Read one query param from an (absolute or relative) href
+   */
+  function hrefParam(href, name) {
+    try {
+      return new URL(href, location.href).searchParams.get(name);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Bing Images: each tile's a.iusc carries JSON metadata in its "m" attribute
+   */
+  async function collectBingCandidates(element) {
+    const candidates = [];
+    let sourcePage = null;
+
+    const tile = element.closest('[m]');
+    const meta = tile && parseJsonAttribute(tile, 'm');
+    if (meta?.murl) {
+      candidates.push(meta.murl);
+      sourcePage = meta.purl || null;
+    }
+
+    const detailLink = element.closest('a[href*="mediaurl="]');
+    const mediaUrl = detailLink && hrefParam(detailLink.href, 'mediaurl');
+    if (mediaUrl) candidates.push(mediaUrl);
+
+    // Detail view: the large image itself
+    const img = imageFor(element);
+    if (img && img.closest('#mainImageWindow, .imgContainer') && isDirectImageUrl(img.src)) {
+      candidates.push(img.src);
+    }
+
+    return { candidates: [...new Set(candidates)], fastPath: false, sourcePage };
+  }
+
+  /**
+   * DuckDuckGo: images are proxied through external-content.duckduckgo.com/iu/?u=<original>.
+   * Tiles proxy a Bing thumbnail; the detail pane proxies the real original.
+   */
+  async function collectDuckDuckGoCandidates(element) {
+    const unproxy = (src) => {
+      const original = src && hrefParam(src, 'u');
+      return original && !/\.mm\.bing\.net\//.test(original) ? original : null;
+    };
+
+    const readDetail = () => [
+      ...[...document.querySelectorAll('.detail__media__img-highres, .js-detail-img-high, img.detail__media__img')]
+        .map(img => unproxy(img.src)),
+      ...[...document.querySelectorAll('a.detail__media__img-link, a.c-detail__btn[href]')]
+        .map(a => a.href)
+        .filter(isDirectImageUrl)
+    ].filter(Boolean);
+
+    const img = imageFor(element);
+    let candidates = [unproxy(img?.src)].filter(Boolean);
+
+    // The detail pane only knows the original once the tile is open
+    if (candidates.length === 0) {
+      const tile = element.closest('.tile--img, [data-testid="image-result"], figure');
+      if (tile && readDetail().length === 0) tile.click();
+      candidates = await pollFor(readDetail);
+    } else {
+      candidates.push(...readDetail());
+    }
+
+    const sourceLink = document.querySelector('.c-detail__title a[href], a.detail__title[href]');
+    return { candidates: [...new Set(candidates)], fastPath: false, sourcePage: sourceLink?.href || null };
+  }
+
+  /**
+   * Yandex Images: serp items carry JSON in data-bem; links carry img_url
+   */
+  async function collectYandexCandidates(element) {
+    const candidates = [];
+    let sourcePage = null;
+
+    const item = element.closest('[data-bem]');
+    const data = item && parseJsonAttribute(item, 'data-bem')?.['serp-item'];
+    if (data) {
+      if (data.img_href) candidates.push(data.img_href);
+      (data.preview || []).concat(data.dups || [])
+        .sort((a, b) => (b.w * b.h || 0) - (a.w * a.h || 0))
+        .forEach(entry => entry.url && candidates.push(entry.url));
+      sourcePage = data.snippet?.url || null;
+    }
+
+    const link = element.closest('a[href*="img_url="]');
+    const imgUrl = link && hrefParam(link.href, 'img_url');
+    if (imgUrl) candidates.push(imgUrl);
+
+    // Viewer: "Open" button and the large image
+    document.querySelectorAll('a.MMViewerButtons-OpenImage[href], img.MMImage-Origin').forEach(node => {
+      const url = node.href || node.src;
+      if (isDirectImageUrl(url)) candidates.push(url);
+    });
+
+    return { candidates: [...new Set(candidates)], fastPath: false, sourcePage };
+  }
+
+  /**
+   * Pinterest: pinimg.com serves every size from the same path; /originals/ is full size
+   */
+  async function collectPinterestCandidates(element) {
+    const img = imageFor(element);
+    if (!img) return { candidates: [], fastPath: false, sourcePage: null };
+
+    const sized = (img.srcset || '')
+      .split(',')
+      .map(entry => entry.trim().split(/\s+/)[0])
+      .concat(img.currentSrc, img.src)
+      .filter(Boolean);
+
+    const candidates = [];
+    sized.forEach(url => {
+      const original = HiResSites.pinterestOriginal(url);
+      if (original) candidates.push(original);
+    });
+    // Originals can 403 when the upload's extension differs; 736x always exists
+    sized.forEach(url => candidates.push(url.replace(/\/(?:\d+x\d*|\d*x\d+)\//, '/736x/')));
+
+    const pinLink = element.closest('a[href*="/pin/"]');
+    const sourcePage = pinLink ? pinLink.href : (location.pathname.startsWith('/pin/') ? location.href : null);
+
+    return { candidates: [...new Set(candidates)], fastPath: false, sourcePage };
+  }
+
+  /**
+   * Wikimedia Commons / Wikipedia: thumbnails map to originals by path; file pages via the API
+   */
+  async function collectWikimediaCandidates(element) {
+    const candidates = [];
+    const img = imageFor(element);
+
+    // The full-resolution link on a file page
+    const fullLink = element.closest('.fullImageLink, .fullMedia')?.querySelector('a[href]') ||
+      (HiResSites.wikiFileTitle(location.href) && document.querySelector('.fullMedia a[href], .fullImageLink a[href]'));
+    if (fullLink && isDirectImageUrl(fullLink.href)) candidates.push(fullLink.href);
+
+    const original = img && HiResSites.wikiThumbToOriginal(img.currentSrc || img.src);
+    if (original) candidates.push(original);
+
+    // Thumbnails in articles and galleries link to their file page
+    const fileLink = element.closest('a[href*="/wiki/File:"], a[href*="/wiki/Image:"]');
+    const filePage = fileLink ? fileLink.href : (HiResSites.wikiFileTitle(location.href) ? location.href : null);
+    if (filePage && candidates.length === 0) {
+      const file = await resolveWikiFilePage(filePage);
+      if (file) candidates.push(file.url);
+    }
+
+    if (img && isDirectImageUrl(img.src)) candidates.push(img.src);
+
+    return { candidates: [...new Set(candidates)], fastPath: false, sourcePage: filePage };
+  }
+
+  // Each adapter resolves a right-clicked element to candidate originals, best first:
+  //   collect(element, options) -> Promise<{ candidates, fastPath, sourcePage }>
+  const SITE_ADAPTERS = {
+    google: { collect: collectGoogleCandidates },
+    bing: { collect: collectBingCandidates },
+    duckduckgo: { collect: collectDuckDuckGoCandidates },
+    yandex: { collect: collectYandexCandidates },
+    pinterest: { collect: collectPinterestCandidates },
+    wikimedia: { collect: collectWikimediaCandidates }
+  };
+
+  // --- ANY SITE: responsive and lazy-loaded images ---
+
+  // Lazy-loaders keep the real (often larger) source in one of these until scrolled into view
+  const LAZY_SRC_ATTRIBUTES = [
+    'data-src', 'data-original', 'data-lazy-src', 'data-lazy', 'data-full', 'data-full-src',
+    'data-large-image', 'data-large_image', 'data-large-file', 'data-orig-file', 'data-zoom-image', 'data-hires'
+  ];
+  const SRCSET_ATTRIBUTES = ['srcset', 'data-srcset', 'data-lazy-srcset'];
+
+  // How many layers under the cursor to search (overlays often sit on top of the image)
+  const MAX_STACK_DEPTH = 8;
+
+  /**
+   * Parse a srcset into { url, width } entries. Widths of "2x" style entries are
+   * estimated from the rendered size, good enough to order them.
+   */
+  function parseSrcset(srcset, baseWidth) {
+    const entries = [];
+    let current = null;
+
+    // URLs may contain commas (Cloudinary "w_300,h_200"), so split on whitespace like the spec does
+    (srcset || '').trim().split(/\s+/).forEach(token => {
+      if (!token) return;
+
+      if (current) {
+        // A descriptor; "600w,next.jpg" (no space) also starts the next entry
+        const [descriptor, ...rest] = token.split(',');
+        if (descriptor) current.descriptor = descriptor;
+        if (token.includes(',')) {
+          entries.push(current);
+          const next = rest.join(',');
+          current = next ? { url: next, descriptor: '' } : null;
+        }
+        return;
+      }
+
+      const endsEntry = token.endsWith(',');
+      current = { url: token.replace(/,+$/, ''), descriptor: '' };
+      if (endsEntry) {
+        entries.push(current);
+        current = null;
+      }
+    });
+    if (current) entries.push(current);
+
+    return entries.filter(entry => entry.url).map(({ url, descriptor }) => {
+      const value = parseFloat(descriptor) || 1;
+      const width = descriptor.endsWith('w') ? value : Math.round(value * baseWidth);
+      return { url, width };
+    });
+  }
+
+  /**
+   * url(...) values of a computed background-image
+   */
+  function backgroundUrls(element) {
+    const value = getComputedStyle(element).backgroundImage;
+    if (!value || value === 'none') return [];
+    return [...value.matchAll(/url\(\s*(['"]?)(.*?)\1\s*\)/g)].map(match => match[2]);
+  }
+
+  /**
+   * Everything stacked under the right-click point, topmost first
+   */
+  function elementsUnderCursor(element) {
+    const stack = lastRightClickPoint
+      ? document.elementsFromPoint(lastRightClickPoint.x, lastRightClickPoint.y)
+      : [element];
+    return stack
+      .filter(node => node !== document.body && node !== document.documentElement)
+      .slice(0, MAX_STACK_DEPTH);
+  }
+
+  /**
+   * The image the user meant: the element itself, or an <img> under an overlay
+   */
+  function findTargetImage(element, srcUrl) {
+    if (element.tagName === 'IMG') return element;
+
+    if (srcUrl) {
+      const exact = [...document.images].find(img => img.currentSrc === srcUrl || img.src === srcUrl);
+      if (exact) return exact;
+    }
+
+    return elementsUnderCursor(element).find(node => node.tagName === 'IMG') || null;
+  }
+
+  /**
+   * Every source an image element offers, largest declared size first
+   * @returns {string[]}
+   */
+  function collectElementSources(element, srcUrl) {
+    const found = [];
+    const add = (url, width = 0) => {
+      if (!url || url.startsWith('data:') || url.startsWith('blob:')) return;
+      try {
+        found.push({ url: new URL(url, document.baseURI).href, width });
+      } catch { /* not a URL */ }
+    };
+
+    const img = findTargetImage(element, srcUrl);
+    if (img) {
+      const baseWidth = img.clientWidth || img.naturalWidth || 0;
+      const picture = img.parentElement?.tagName === 'PICTURE' ? img.parentElement : null;
+      const sourceElements = [img, ...(picture ? picture.querySelectorAll('source') : [])];
+
+      sourceElements.forEach(source => {
+        SRCSET_ATTRIBUTES.forEach(name => {
+          parseSrcset(source.getAttribute(name), baseWidth).forEach(entry => add(entry.url, entry.width));
+        });
+      });
+      LAZY_SRC_ATTRIBUTES.forEach(name => add(img.getAttribute(name)));
+      add(img.currentSrc, img.naturalWidth);
+      add(img.src, img.naturalWidth);
+
+      // Lightbox galleries link the thumbnail to the full-size file
+      const link = img.closest('a[href]');
+      if (link && isDirectImageUrl(link.href)) add(link.href, Infinity);
+    }
+
+    // CSS backgrounds (and their lazy-load attributes) under the cursor - only when no <img>
+    // was hit, or a big hero background behind a product photo would outrank the photo
+    if (!img) {
+      elementsUnderCursor(element).forEach(node => {
+        ['data-bg', 'data-background-image'].forEach(name => add(node.getAttribute(name)));
+        backgroundUrls(node).forEach(url => add(url));
+      });
+    }
+
+    add(srcUrl);
+
+    const sorted = found
+      .map((entry, order) => ({ ...entry, order }))
+      .sort((a, b) => (b.width - a.width) || (a.order - b.order));
+    return [...new Set(sorted.map(entry => entry.url))];
+  }
+
+  // --- BULK EXTRACTION: every thumbnail in the result grid ---
+
+  const BULK_THUMBNAIL_SELECTOR = '#islrg div[data-ri] img, div[data-lpage] img, div[data-docid] img, div[data-tbnid] img';
+  const BULK_THROTTLE_MS = 400;
+  const BULK_MIN_THUMB_SIZE = 60;
+
+  let bulkJob = null;
+
+  /**
+   * Report a bulk item's state to the gallery page
+   */
+  function postBulkUpdate(item) {
+    chrome.runtime.sendMessage({
+      action: 'bulkExtractUpdate',
+      item: {
+        id: item.id,
+        thumbnailUrl: item.thumbnailUrl,
+        originalUrl: item.originalUrl,
+        status: item.status
+      }
+    }).catch(() => {
+      // Gallery closed - nobody is listening any more
+      log('Gallery gone, stopping bulk extraction');
+      stopBulkExtract();
+    });
+  }
+
+  /**
+   * Queue any result thumbnails we haven't seen yet
+   */
+  function enqueueThumbnails() {
+    if (!bulkJob) return;
+
+    document.querySelectorAll(BULK_THUMBNAIL_SELECTOR).forEach(img => {
+      if (bulkJob.seen.has(img)) return;
+      if (img.closest('#islsp, [role="dialog"]')) return;
+
+      const rect = img.getBoundingClientRect();
+      if (rect.width < BULK_MIN_THUMB_SIZE || rect.height < BULK_MIN_THUMB_SIZE) return;
+
+      bulkJob.seen.add(img);
+      const item = {
+        id: bulkJob.nextId++,
+        element: img,
+        thumbnailUrl: img.currentSrc || img.src,
+        originalUrl: null,
+        status: 'queued'
+      };
+      bulkJob.queue.push(item);
+      postBulkUpdate(item);
+    });
+
+    pumpBulkQueue();
+  }
+
+  /**
+   * Resolve queued thumbnails one at a time, throttled so Google isn't hammered
+   */
+  async function pumpBulkQueue() {
+    const job = bulkJob;
+    if (!job || job.running) return;
+    job.running = true;
+
+    while (bulkJob === job && !job.paused && job.queue.length > 0) {
+      const item = job.queue.shift();
+      item.status = 'resolving';
+      postBulkUpdate(item);
+
+      try {
+        const best = item.element.isConnected ? await findOriginal(item.element) : null;
+        item.originalUrl = best?.url || null;
+      } catch (e) {
+        log('Bulk item failed:', e);
+      }
+      item.status = item.originalUrl ? 'found' : 'failed';
+      postBulkUpdate(item);
+
+      await new Promise(r => setTimeout(r, BULK_THROTTLE_MS));
+    }
+
+    job.running = false;
+  }
+
+  /**
+   * Start (or resume) extracting every loaded thumbnail; infinite scroll adds more
+   */
+  function startBulkExtract() {
+    if (bulkJob) {
+      bulkJob.paused = false;
+      pumpBulkQueue();
+      return;
+    }
+
+    bulkJob = {
+      queue: [],
+      seen: new WeakSet(),
+      nextId: 0,
+      running: false,
+      paused: false,
+      scanTimer: null,
+      // Infinite scroll appends results - rescan shortly after the DOM settles
+      observer: new MutationObserver(() => {
+        clearTimeout(bulkJob.scanTimer);
+        bulkJob.scanTimer = setTimeout(enqueueThumbnails, 300);
+      })
+    };
+    bulkJob.observer.observe(document.body, { childList: true, subtree: true });
+    enqueueThumbnails();
+  }
+
+  function pauseBulkExtract() {
+    if (bulkJob) bulkJob.paused = true;
+  }
+
+  function stopBulkExtract() {
+    if (!bulkJob) return;
+    bulkJob.observer.disconnect();
+    clearTimeout(bulkJob.scanTimer);
+    bulkJob = null;
+  }
+
+  // --- RESULT BADGES: original size, type and actions on each Google thumbnail ---
+
+  const BADGE_LOOKUPS_AT_ONCE = 2;
+  // Start looking up a little before a thumbnail scrolls into view
+  const BADGE_ROOT_MARGIN = '300px';
+  const RESULT_TILE_SELECTOR = '#islrg div[data-ri], div[data-lpage], div[data-docid], div[data-tbnid]';
+  const OWN_ELEMENTS = '.hires-badge, .hires-actions, .hires-toolbar';
+
+  const BADGE_STYLE = `
+    .hires-host-positioned { position: relative; }
+    .hires-badge, .hires-actions {
+      position: absolute; z-index: 3; display: flex; gap: 4px;
+      font: 600 11px/1 system-ui, sans-serif; color: #fff; pointer-events: none;
+    }
+    .hires-badge { left: 4px; bottom: 4px; }
+    .hires-badge span {
+      padding: 3px 5px; border-radius: 4px; background: rgba(0, 0, 0, 0.72); white-space: nowrap;
+    }
+    .hires-badge span:empty { display: none; }
+    .hires-badge[data-status="failed"] span { background: rgba(0, 0, 0, 0.45); }
+    .hires-actions { top: 4px; right: 4px; opacity: 0; transition: opacity 0.15s; }
+    .hires-host:hover .hires-actions { opacity: 1; }
+    .hires-actions button {
+      all: unset; pointer-events: auto; cursor: pointer; padding: 4px 7px; border-radius: 4px;
+      background: rgba(0, 0, 0, 0.72); font: inherit; color: inherit;
+    }
+    .hires-actions button:hover { background: #1a73e8; }
+    .hires-no-badges .hires-badge, .hires-no-actions .hires-actions, .hires-filtered { display: none !important; }
+    .hires-toolbar {
+      position: fixed; right: 16px; bottom: 16px; z-index: 2147483000; display: flex; align-items: center;
+      gap: 6px; padding: 6px 10px; border-radius: 8px; background: #202124; color: #e8eaed;
+      font: 12px/1.4 system-ui, sans-serif; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
+    }
+    .hires-toolbar input {
+      width: 48px; padding: 2px 4px; border: 1px solid #5f6368; border-radius: 4px;
+      background: #303134; color: inherit; font: inherit;
+    }
+    .hires-toolbar-count { color: #9aa0a6; }
+  `;
+
+  let badgeSettings = null;
+  let badgeWatcher = null;
+  let badgeVisibility = null;
+  let badgeScanTimer = null;
+  let badgeToolbar = null;
+  // img -> { img, host, tile, badge, actions, status, best, lookup, deepLookup }
+  const badgeStates = new Map();
+  const lookupQueue = [];
+  let lookupsRunning = 0;
+
+  const megapixels = (best) => best.width * best.height / 1e6;
+
+  /**
+   * Ask the background to probe a thumbnail's candidates; null when none is a real image
+   */
+  async function lookUpOriginal(img, deep) {
+    if (!img.isConnected) return null;
+    const { candidates } = await collectGoogleCandidates(img, { deep, quick: !deep });
+    return probeCandidates(candidates);
+  }
+
+  function renderBadge(state) {
+    const [size, type] = state.badge.children;
+    state.badge.dataset.status = state.status;
+
+    if (state.best) {
+      size.textContent = `${state.best.width} × ${state.best.height}`;
+      type.textContent = (state.best.type || '').toUpperCase();
+      state.badge.title = `${megapixels(state.best).toFixed(1)} MP · ${state.best.url}`;
+    } else {
+      size.textContent = state.status === 'failed' ? '?' : '…';
+      type.textContent = '';
+      state.badge.title = state.status === 'failed'
+        ? 'No original in the page data - Open, Upscale and Copy URL look harder'
+        : '';
+    }
+  }
+
+  /**
+   * Hide a result whose original is below the size filter; unresolved results stay
+   */
+  function applyFilter(state) {
+    const min = badgeSettings?.minMegapixels || 0;
+    const filtered = Boolean(min && state.best && megapixels(state.best) < min);
+    state.tile.classList.toggle('hires-filtered', filtered);
+  }
+
+  function applyFilterAll() {
+    badgeStates.forEach(applyFilter);
+    renderToolbar();
+  }
+
+  /**
+   * Queue the quick (page data only) lookup for a thumbnail; clicked ones jump the queue
+   * @returns {Promise<Object|null>} The best probed original
+   */
+  function requestLookup(state, urgent = false) {
+    if (state.lookup) return state.lookup;
+
+    state.lookup = new Promise(resolve => {
+      const task = async () => {
+        state.status = 'resolving';
+        renderBadge(state);
+        try {
+          state.best = await lookUpOriginal(state.img, false);
+        } catch (e) {
+          log('Badge lookup failed:', e);
+        }
+        state.status = state.best ? 'found' : 'failed';
+        renderBadge(state);
+        applyFilter(state);
+        renderToolbar();
+        resolve(state.best);
+      };
+      if (urgent) {
+        lookupQueue.unshift(task);
+      } else {
+        lookupQueue.push(task);
+      }
+    });
+    pumpLookups();
+    return state.lookup;
+  }
+
+  function pumpLookups() {
+    while (lookupsRunning < BADGE_LOOKUPS_AT_ONCE && lookupQueue.length > 0) {
+      const task = lookupQueue.shift();
+      lookupsRunning++;
+      task().finally(() => {
+        lookupsRunning--;
+        pumpLookups();
+      });
+    }
+  }
+
+  /**
+   * The original for a clicked thumbnail: the quick lookup, then the preview panel
+   */
+  async function originalFor(state) {
+    const best = await requestLookup(state, true);
+    if (best) return best;
+
+    state.deepLookup ||= lookUpOriginal(state.img, true).then(found => {
+      if (found) {
+        state.best = found;
+        state.status = 'found';
+        renderBadge(state);
+        applyFilter(state);
+      }
+      return found;
+    }).catch(() => null);
+    return state.deepLookup;
+  }
+
+  /**
+   * Show a word on a button for a moment
+   */
+  function flashButton(button, text) {
+    const label = button.dataset.label;
+    button.textContent = text;
+    setTimeout(() => { button.textContent = label; }, 1500);
+  }
+
+  async function handleBadgeAction(state, button) {
+    const best = await originalFor(state);
+    if (!best) {
+      flashButton(button, 'Not found');
+      return;
+    }
+
+    const action = button.dataset.action;
+    if (action === 'copy') {
+      try {
+        await navigator.clipboard.writeText(best.url);
+        flashButton(button, 'Copied');
+      } catch (e) {
+        log('Copy failed:', e);
+        flashButton(button, 'Copy failed');
+      }
+      return;
+    }
+    chrome.runtime.sendMessage({
+      action: action === 'upscale' ? 'upscaleOriginal' : 'openOriginal',
+      url: best.url,
+      width: best.width,
+      height: best.height,
+      type: best.type
+    });
+  }
+
+  function createActions(state) {
+    const actions = document.createElement('div');
+    actions.className = 'hires-actions';
+    [['open', 'Open'], ['upscale', 'Upscale'], ['copy', 'Copy URL']].forEach(([action, label]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.dataset.action = action;
+      button.dataset.label = label;
+      button.textContent = label;
+      actions.appendChild(button);
+    });
+
+    // Keep Google's own handlers (open preview, follow link) from seeing these clicks
+    ['pointerdown', 'mousedown', 'mouseup', 'click'].forEach(type => {
+      actions.addEventListener(type, (event) => {
+        if (!event.target.closest('button')) return;
+        event.preventDefault();
+        event.stopPropagation();
+        if (type === 'click') handleBadgeAction(state, event.target.closest('button'));
+      });
+    });
+    return actions;
+  }
+
+  /**
+   * Add the badge and buttons to one thumbnail
+   */
+  function annotateThumbnail(img) {
+    const host = img.parentElement;
+    if (!host) return;
+    if (getComputedStyle(host).position === 'static') host.classList.add('hires-host-positioned');
+    host.classList.add('hires-host');
+
+    const badge = document.createElement('div');
+    badge.className = 'hires-badge';
+    badge.append(document.createElement('span'), document.createElement('span'));
+
+    const state = {
+      img,
+      host,
+      tile: img.closest(RESULT_TILE_SELECTOR) || host,
+      badge,
+      actions: null,
+      status: 'pending',
+      best: null,
+      lookup: null,
+      deepLookup: null
+    };
+    state.actions = createActions(state);
+    host.append(badge, state.actions);
+    renderBadge(state);
+
+    badgeStates.set(img, state);
+    badgeVisibility.observe(img);
+  }
+
+  /**
+   * Annotate thumbnails we haven't seen yet
+   */
+  function scanThumbnails() {
+    badgeStates.forEach((state, img) => {
+      if (!img.isConnected) badgeStates.delete(img);
+    });
+
+    document.querySelectorAll(BULK_THUMBNAIL_SELECTOR).forEach(img => {
+      if (badgeStates.has(img)) return;
+      if (img.closest('#islsp, [role="dialog"]')) return;
+
+      const rect = img.getBoundingClientRect();
+      if (rect.width < BULK_MIN_THUMB_SIZE || rect.height < BULK_MIN_THUMB_SIZE) return;
+      annotateThumbnail(img);
+    });
+    renderToolbar();
+  }
+
+  /**
+   * The "hide below N MP" filter, pinned to the corner of the results page
+   */
+  function createToolbar() {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'hires-toolbar';
+    toolbar.innerHTML = `
+      <span>HiRes · hide below</span>
+      <input type="number" min="0" step="0.5" placeholder="0" aria-label="Minimum megapixels">
+      <span>MP</span>
+      <span class="hires-toolbar-count"></span>
+    `;
+
+    const input = toolbar.querySelector('input');
+    input.addEventListener('change', () => {
+      const minMegapixels = Math.max(0, parseFloat(input.value) || 0);
+      badgeSettings = { ...badgeSettings, minMegapixels };
+      applyFilterAll();
+      HiResSettings.save({ thumbnails: badgeSettings });
+    });
+    // Typing here shouldn't reach Google's keyboard shortcuts
+    input.addEventListener('keydown', (event) => event.stopPropagation());
+    return toolbar;
+  }
+
+  function renderToolbar() {
+    if (!badgeToolbar) return;
+    const input = badgeToolbar.querySelector('input');
+    if (document.activeElement !== input) input.value = badgeSettings.minMegapixels || '';
+
+    let hidden = 0;
+    let pending = 0;
+    badgeStates.forEach(state => {
+      if (state.tile.classList.contains('hires-filtered')) hidden++;
+      if (!state.best && state.status !== 'failed') pending++;
+    });
+    const parts = [];
+    if (badgeSettings.minMegapixels) parts.push(`${hidden} hidden`);
+    if (badgeSettings.minMegapixels && pending) parts.push(`${pending} not checked yet`);
+    badgeToolbar.querySelector('.hires-toolbar-count').textContent = parts.join(' · ');
+  }
+
+  function startBadges() {
+    if (badgeWatcher) return;
+
+    if (!document.getElementById('hires-badge-style')) {
+      const style = document.createElement('style');
+      style.id = 'hires-badge-style';
+      style.textContent = BADGE_STYLE;
+      document.head.appendChild(style);
+    }
+
+    badgeVisibility = new IntersectionObserver((entries) => {
+      const lazy = badgeSettings.badges || badgeSettings.minMegapixels > 0;
+      entries.forEach(entry => {
+        if (!entry.isIntersecting || !lazy) return;
+        const state = badgeStates.get(entry.target);
+        if (state) requestLookup(state);
+        badgeVisibility.unobserve(entry.target);
+      });
+    }, { rootMargin: BADGE_ROOT_MARGIN });
+
+    // Infinite scroll appends results - rescan shortly after the DOM settles
+    badgeWatcher = new MutationObserver((mutations) => {
+      // Our own badges and their text changing would otherwise rescan on every lookup
+      const own = (node) => node.closest?.(OWN_ELEMENTS);
+      if (mutations.every(m => own(m.target) || [...m.addedNodes].every(own))) return;
+      clearTimeout(badgeScanTimer);
+      badgeScanTimer = setTimeout(scanThumbnails, 300);
+    });
+    badgeWatcher.observe(document.body, { childList: true, subtree: true });
+    scanThumbnails();
+  }
+
+  function stopBadges() {
+    if (!badgeWatcher) return;
+    badgeWatcher.disconnect();
+    badgeVisibility.disconnect();
+    clearTimeout(badgeScanTimer);
+    badgeWatcher = null;
+    badgeVisibility = null;
+    lookupQueue.length = 0;
+
+    badgeStates.forEach(state => {
+      state.badge.remove();
+      state.actions.remove();
+      state.host.classList.remove('hires-host', 'hires-host-positioned');
+      state.tile.classList.remove('hires-filtered');
+    });
+    badgeStates.clear();
+  }
+
+  /**
+   * Turn badges, buttons and the filter on or off to match settings
+   */
+  function applyBadgeSettings(settings) {
+    badgeSettings = settings.thumbnails;
+    const root = document.documentElement;
+    root.classList.toggle('hires-no-badges', !badgeSettings.badges);
+    root.classList.toggle('hires-no-actions', !badgeSettings.actions);
+
+    if (badgeSettings.badges || badgeSettings.actions || badgeSettings.minMegapixels > 0) {
+      startBadges();
+    } else {
+      stopBadges();
+    }
+
+    // Thumbnails that scrolled past while only the buttons were on
+    if (badgeSettings.badges || badgeSettings.minMegapixels > 0) {
+      badgeStates.forEach(state => {
+        if (!state.lookup) badgeVisibility.observe(state.img);
+      });
+    }
+
+    const showToolbar = badgeWatcher && (badgeSettings.badges || badgeSettings.minMegapixels > 0);
+    if (showToolbar && !badgeToolbar) {
+      badgeToolbar = createToolbar();
+      document.body.appendChild(badgeToolbar);
+    } else if (!showToolbar && badgeToolbar) {
+      badgeToolbar.remove();
+      badgeToolbar = null;
+    }
+    applyFilterAll();
+  }
+
   // Capture right-clicks
   document.addEventListener('contextmenu', (event) => {
     lastRightClickedElement = event.target;
+    lastRightClickPoint = { x: event.clientX, y: event.clientY };
     log('Right-click captured:', event.target.tagName);
   }, true);
 
@@ -284,24 +1341,62 @@
         return true;
       }
 
+      const site = HiResSites.match(location.href);
+      const adapter = site && SITE_ADAPTERS[site.id];
+      if (!adapter) {
+        log('No adapter for this site');
+        sendResponse({ originalUrl: null, candidates: [] });
+        return true;
+      }
+
       // Run extraction
-      extractHighResUrl(target).then(url => {
-        if (url) {
-          log('SUCCESS:', url);
-          sendResponse({ originalUrl: url });
+      adapter.collect(target, { deep: message.deep }).then(({ candidates, fastPath, sourcePage }) => {
+        if (candidates.length > 0) {
+          log('SUCCESS:', candidates);
         } else {
           log('FAILED - no URL found');
-          sendResponse({ originalUrl: null });
         }
+        sendResponse({ originalUrl: candidates[0] || null, candidates, fastPath, sourcePage });
       }).catch(err => {
         log('ERROR:', err);
-        sendResponse({ originalUrl: null });
+        sendResponse({ originalUrl: null, candidates: [] });
       });
 
       return true;
     }
+
+    if (message.action === 'getImageSources') {
+      const target = lastRightClickedElement;
+      sendResponse({ candidates: target ? collectElementSources(target, message.srcUrl) : [] });
+      return false;
+    }
+
+    if (message.action === 'ping') {
+      sendResponse({ ok: true });
+      return false;
+    }
+    if (message.action === 'startBulkExtract') {
+      startBulkExtract();
+      sendResponse({ ok: true });
+      return false;
+    }
+    if (message.action === 'pauseBulkExtract') {
+      pauseBulkExtract();
+      sendResponse({ ok: true });
+      return false;
+    }
+    if (message.action === 'stopBulkExtract') {
+      stopBulkExtract();
+      sendResponse({ ok: true });
+      return false;
+    }
     return false;
   });
 
+  if (HiResSites.match(location.href)?.id === 'google') {
+    HiResSettings.load().then(applyBadgeSettings);
+    HiResSettings.onChange(applyBadgeSettings);
+  }
+
   log('Content script loaded');
 })();
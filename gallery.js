@@ -0,0 +1,195 @@
+/**
+ * HiRes - Gallery
+ * Lists the originals found by a bulk "Extract all originals" run on a results tab
+ */
+
+(function() {
+  'use strict';
+
+  // DOM Elements
+  const grid = document.getElementById('grid');
+  const emptyState = document.getElementById('emptyState');
+  const counts = document.getElementById('counts');
+  const galleryTitle = document.getElementById('galleryTitle');
+  const pauseBtn = document.getElementById('pauseBtn');
+  const copyAllBtn = document.getElementById('copyAllBtn');
+  const exportBtn = document.getElementById('exportBtn');
+
+  const params = new URLSearchParams(window.location.search);
+  const sourceTabId = parseInt(params.get('tab'), 10);
+  const query = params.get('q') || '';
+
+  const items = new Map();
+  let paused = false;
+
+  const STATUS_LABELS = {
+    queued: 'Queued',
+    resolving: 'Resolving',
+    found: 'Found',
+    failed: 'Failed'
+  };
+
+  /**
+   * Create the card for a new item
+   */
+  function createCard(item) {
+    const card = document.createElement('div');
+    card.className = 'card';
+
+    const thumb = document.createElement('div');
+    thumb.className = 'card-thumb';
+    const img = document.createElement('img');
+    img.src = item.thumbnailUrl;
+    img.alt = '';
+    img.loading = 'lazy';
+    thumb.appendChild(img);
+
+    const body = document.createElement('div');
+    body.className = 'card-body';
+
+    const url = document.createElement('span');
+    url.className = 'card-url';
+    url.textContent = 'Waiting...';
+
+    const actions = document.createElement('div');
+    actions.className = 'card-actions';
+
+    const status = document.createElement('span');
+    status.className = 'status';
+
+    const copyBtn = document.createElement('button');
+    copyBtn.className = 'btn';
+    copyBtn.textContent = 'Copy';
+    copyBtn.disabled = true;
+    copyBtn.addEventListener('click', () => copyText(items.get(item.id).originalUrl, copyBtn));
+
+    actions.append(status, copyBtn);
+    body.append(url, actions);
+    card.append(thumb, body);
+
+    return { card, url, status, copyBtn };
+  }
+
+  /**
+   * Apply an update from the content script
+   */
+  function handleUpdate(update) {
+    let entry = items.get(update.id);
+    if (!entry) {
+      entry = { ...update, view: createCard(update) };
+      items.set(update.id, entry);
+      emptyState.remove();
+      grid.appendChild(entry.view.card);
+    }
+    Object.assign(entry, update);
+
+    const { view } = entry;
+    view.status.className = `status status-${entry.status}`;
+    view.status.textContent = STATUS_LABELS[entry.status] || entry.status;
+
+    if (entry.originalUrl && view.url.tagName !== 'A') {
+      const link = document.createElement('a');
+      link.className = 'card-url';
+      link.href = entry.originalUrl;
+      link.target = '_blank';
+      link.rel = 'noreferrer';
+      link.title = entry.originalUrl;
+      link.textContent = entry.originalUrl;
+      view.url.replaceWith(link);
+      view.url = link;
+      view.copyBtn.disabled = false;
+    } else if (entry.status === 'failed') {
+      view.url.textContent = 'No original found';
+    }
+
+    renderCounts();
+  }
+
+  function foundUrls() {
+    return [...items.values()].filter(i => i.originalUrl).map(i => i.originalUrl);
+  }
+
+  function renderCounts() {
+    const all = [...items.values()];
+    const found = all.filter(i => i.status === 'found').length;
+    const failed = all.filter(i => i.status === 'failed').length;
+    const pending = all.length - found - failed;
+
+    counts.innerHTML = `<span class="found">${found} found</span> · ` +
+      `<span class="failed">${failed} failed</span> · ${pending} pending`;
+    copyAllBtn.disabled = exportBtn.disabled = found === 0;
+  }
+
+  /**
+   * Copy to the clipboard and say how it went on the button for a moment
+   */
+  async function copyText(text, button) {
+    // Kept from the first click, so a click during the flash doesn't make "Copied" the label
+    button.dataset.label ||= button.textContent;
+    try {
+      await navigator.clipboard.writeText(text);
+      button.textContent = 'Copied';
+    } catch (e) {
+      // Page not focused, or clipboard access denied
+      console.warn('HiRes: Copy failed:', e);
+      button.textContent = 'Copy failed';
+    }
+    setTimeout(() => { button.textContent = button.dataset.label; }, 1200);
+  }
+
+  /**
+   * Save the found URLs as a plain text list
+   */
+  function exportList() {
+    const blob = new Blob([foundUrls().join('\n') + '\n'], { type: 'text/plain' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `hires-${query.replace(/[^\w-]+/g, '_') || 'originals'}.txt`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  }
+
+  function togglePause() {
+    paused = !paused;
+    pauseBtn.textContent = paused ? 'Resume' : 'Pause';
+    chrome.tabs.sendMessage(sourceTabId, { action: paused ? 'pauseBulkExtract' : 'startBulkExtract' });
+  }
+
+  /**
+   * Initialize
+   */
+  function init() {
+    if (!sourceTabId) {
+      emptyState.textContent = 'No results tab to extract from.';
+      pauseBtn.disabled = true;
+      return;
+    }
+
+    if (query) {
+      galleryTitle.textContent = `Originals · ${query}`;
+      document.title = `HiRes — ${query}`;
+    }
+
+    chrome.runtime.onMessage.addListener((message, sender) => {
+      if (message.action === 'bulkExtractUpdate' && sender.tab?.id === sourceTabId) {
+        handleUpdate(message.item);
+      }
+    });
+
+    chrome.tabs.sendMessage(sourceTabId, { action: 'startBulkExtract' }).catch(() => {
+      emptyState.textContent = 'The results tab was closed or reloaded.';
+      pauseBtn.disabled = true;
+    });
+
+    // Stop the queue on the results page when this gallery goes away
+    window.addEventListener('pagehide', () => {
+      chrome.tabs.sendMessage(sourceTabId, { action: 'stopBulkExtract' }).catch(() => {});
+    });
+
+    pauseBtn.addEventListener('click', togglePause);
+    copyAllBtn.addEventListener('click', () => copyText(foundUrls().join('\n'), copyAllBtn));
+    exportBtn.addEventListener('click', exportList);
+  }
+
+  init();
+})();
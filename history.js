@@ -0,0 +1,214 @@
+/**
+ * HiRes - History
+ * Browse, search, re-download, re-run and delete past upscales (lib/history.js)
+ */
+
+(function() {
+  'use strict';
+
+  // DOM Elements
+  const grid = document.getElementById('grid');
+  const emptyState = document.getElementById('emptyState');
+  const usage = document.getElementById('usage');
+  const searchInput = document.getElementById('searchInput');
+  const clearBtn = document.getElementById('clearBtn');
+
+  const RERUN_SCALES = [2, 4];
+
+  // Object URLs of the entries on screen, revoked on every re-render
+  let objectUrls = [];
+  let searchTimer = null;
+
+  function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+    if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  }
+
+  function objectUrl(blob) {
+    const url = URL.createObjectURL(blob);
+    objectUrls.push(url);
+    return url;
+  }
+
+  /**
+   * Create the card for one history entry
+   */
+  function createCard(entry) {
+    const card = document.createElement('div');
+    card.className = 'card';
+
+    const outputUrl = objectUrl(entry.blob);
+
+    const thumb = document.createElement('div');
+    thumb.className = 'card-thumb';
+    thumb.title = 'Open full size';
+    const img = document.createElement('img');
+    img.src = entry.thumbnail ? objectUrl(entry.thumbnail) : outputUrl;
+    img.alt = '';
+    img.loading = 'lazy';
+    thumb.appendChild(img);
+    thumb.addEventListener('click', () => {
+      HiResHistory.touch(entry.id);
+      window.open(outputUrl, '_blank');
+    });
+
+    const body = document.createElement('div');
+    body.className = 'card-body';
+
+    // Local files (pasted, dropped, picked) have a name but no URL
+    const source = document.createElement(entry.sourceUrl ? 'a' : 'span');
+    const sourceLabel = entry.sourceUrl || entry.sourceName || 'Local file';
+    source.className = 'card-url';
+    if (entry.sourceUrl) {
+      source.href = entry.sourceUrl;
+      source.target = '_blank';
+      source.rel = 'noreferrer';
+    }
+    source.title = sourceLabel;
+    source.textContent = entry.query ? `${entry.query} · ${sourceLabel}` : sourceLabel;
+
+    const meta = document.createElement('div');
+    meta.className = 'card-meta';
+    const provider = document.createElement('span');
+    provider.className = 'provider';
+    provider.textContent = `${entry.provider} · ${entry.scale}×` + (entry.preset ? ` · ${entry.preset.name}` : '');
+    const details = [
+      entry.crop ? `${entry.width} × ${entry.height} from a ${entry.crop.width} × ${entry.crop.height} region` : `${entry.width} × ${entry.height}`,
+      formatBytes(entry.size),
+      new Date(entry.createdAt).toLocaleString()
+    ].map(text => {
+      const span = document.createElement('span');
+      span.textContent = text;
+      return span;
+    });
+    meta.append(provider, ...details);
+
+    const actions = document.createElement('div');
+    actions.className = 'card-actions';
+
+    const downloadBtn = document.createElement('button');
+    downloadBtn.className = 'btn';
+    downloadBtn.textContent = 'Download';
+    downloadBtn.addEventListener('click', () => handleDownload(entry, outputUrl));
+
+    const rerunScale = document.createElement('select');
+    rerunScale.title = 'Scale for re-run';
+    RERUN_SCALES.forEach(scale => {
+      const option = document.createElement('option');
+      option.value = scale;
+      option.textContent = `${scale}×`;
+      option.selected = scale !== entry.scale;
+      rerunScale.appendChild(option);
+    });
+
+    const rerunBtn = document.createElement('button');
+    rerunBtn.className = 'btn';
+    rerunBtn.textContent = 'Re-run';
+    if (!entry.sourceUrl) {
+      rerunBtn.disabled = rerunScale.disabled = true;
+      rerunBtn.title = 'Local file - drop it into Upscale Studio again';
+    }
+    rerunBtn.addEventListener('click', () => handleRerun(entry, parseInt(rerunScale.value, 10)));
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'btn btn-danger';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', async () => {
+      await HiResHistory.remove(entry.id);
+      render();
+    });
+
+    actions.append(downloadBtn, rerunScale, rerunBtn, deleteBtn);
+    body.append(source, meta, actions);
+    card.append(thumb, body);
+
+    return card;
+  }
+
+  async function handleDownload(entry, outputUrl) {
+    HiResHistory.touch(entry.id);
+    try {
+      await HiResDownloads.download(outputUrl, 'upscaled', {
+        sourceUrl: entry.sourceUrl || undefined,
+        name: entry.sourceUrl ? undefined : entry.sourceName?.replace(/\.[^.]+$/, ''),
+        query: entry.query,
+        width: entry.width,
+        height: entry.height,
+        scale: entry.scale,
+        provider: entry.provider,
+        ext: HiResDownloads.MIME_EXTENSIONS[entry.type]
+      });
+    } catch (error) {
+      alert(`Download failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Open the source in Upscale Studio again at another scale
+   */
+  function handleRerun(entry, scale) {
+    HiResHistory.touch(entry.id);
+    const params = new URLSearchParams({ img: entry.sourceUrl, q: entry.query || '', scale });
+    if (entry.preset) params.set('preset', entry.preset.id);
+    if (entry.crop) params.set('crop', HiResCropTool.format(entry.crop));
+    chrome.tabs.create({ url: chrome.runtime.getURL(`upscale.html?${params}`) });
+  }
+
+  async function renderUsage() {
+    const [{ count, bytes }, { history }] = await Promise.all([HiResHistory.usage(), HiResSettings.load()]);
+    usage.textContent = `${count} ${count === 1 ? 'upscale' : 'upscales'} · ` +
+      `${formatBytes(bytes)} of ${formatBytes(history.quotaMB * 1024 * 1024)}`;
+    clearBtn.disabled = count === 0;
+  }
+
+  /**
+   * Redraw the grid for the current search
+   */
+  async function render() {
+    const entries = await HiResHistory.list(searchInput.value);
+
+    objectUrls.forEach(url => URL.revokeObjectURL(url));
+    objectUrls = [];
+    grid.innerHTML = '';
+
+    if (entries.length === 0) {
+      emptyState.textContent = searchInput.value
+        ? 'No upscales match your search.'
+        : 'No upscales yet. Finished jobs from Upscale Studio appear here.';
+      grid.appendChild(emptyState);
+    } else {
+      entries.forEach(entry => grid.appendChild(createCard(entry)));
+    }
+
+    renderUsage();
+  }
+
+  async function handleClear() {
+    if (!confirm('Delete every upscale in the history?')) return;
+    await HiResHistory.clear();
+    render();
+  }
+
+  /**
+   * Initialize
+   */
+  function init() {
+    searchInput.addEventListener('input', () => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(render, 150);
+    });
+    clearBtn.addEventListener('click', handleClear);
+
+    // Pick up jobs finished in a studio tab while this page was in the background
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') render();
+    });
+
+    render().catch(error => {
+      emptyState.textContent = `Could not open the history: ${error.message}`;
+    });
+  }
+
+  init();
+})();
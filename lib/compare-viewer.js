@@ -0,0 +1,388 @@
+/**
+ * HiRes - Compare Viewer
+ * Before/after tools for Upscale Studio: side-by-side panels with synchronized
+ * zoom and pan (down to 1:1 device pixels), a split-slider overlay, and a
+ * magnifier loupe that shows the same spot in both images.
+ *
+ * Positions are kept in output-image coordinates, so the smaller source is
+ * always drawn at the same on-screen size as the upscale it is compared with.
+ */
+
+(function (global) {
+  'use strict';
+
+  const ZOOM_STEP = 1.25;
+  const MAX_ZOOM = 32;
+  const FIT_MARGIN = 24;
+
+  const LOUPE_SIZE = 180;
+  // Loupe shows at least 4× the current zoom, and never less than 2 screen px per output px
+  const LOUPE_MAGNIFICATION = 4;
+  const LOUPE_MIN_SCALE = 2;
+
+  /**
+   * Attach the viewer to the studio's panels
+   * @param {Object} elements - { workspace, sourceViewport, outputViewport, toolbar, zoomLevel }
+   * @returns {{show: Function, hide: Function}}
+   */
+  function create({ workspace, sourceViewport, outputViewport, toolbar, zoomLevel }) {
+    const state = {
+      active: false,
+      view: 'side',
+      // Screen px per output px; null means "fit"
+      zoom: null,
+      // Image point at the viewport centre, 0..1
+      centerX: 0.5,
+      centerY: 0.5,
+      split: 0.5,
+      loupe: false
+    };
+
+    let sourceImg = null;
+    let outputImg = null;
+    let splitSource = null;
+    let splitHandle = null;
+    const loupes = new Map();
+
+    const dpr = () => global.devicePixelRatio || 1;
+    const viewports = () => (state.view === 'split' ? [outputViewport] : [sourceViewport, outputViewport]);
+
+    function fitZoom() {
+      const rect = outputViewport.getBoundingClientRect();
+      return Math.min(
+        (rect.width - FIT_MARGIN * 2) / outputImg.naturalWidth,
+        (rect.height - FIT_MARGIN * 2) / outputImg.naturalHeight
+      );
+    }
+
+    function currentZoom() {
+      return state.zoom ?? fitZoom();
+    }
+
+    /**
+     * Keep the image covering the viewport once it is larger than it
+     */
+    function clampCenter(zoom) {
+      const rect = outputViewport.getBoundingClientRect();
+      const width = outputImg.naturalWidth * zoom;
+      const height = outputImg.naturalHeight * zoom;
+      const clamp = (value, half, size) => (size <= half * 2 ? 0.5 : Math.min(1 - half / size, Math.max(half / size, value)));
+
+      state.centerX = clamp(state.centerX, rect.width / 2, width);
+      state.centerY = clamp(state.centerY, rect.height / 2, height);
+    }
+
+    /**
+     * Where the image sits inside a viewport at the current zoom and centre
+     */
+    function geometry(viewport) {
+      const rect = viewport.getBoundingClientRect();
+      const zoom = currentZoom();
+      const width = outputImg.naturalWidth * zoom;
+      const height = outputImg.naturalHeight * zoom;
+      return {
+        rect,
+        zoom,
+        width,
+        height,
+        left: rect.width / 2 - state.centerX * width,
+        top: rect.height / 2 - state.centerY * height
+      };
+    }
+
+    function place(img, viewport) {
+      const { width, height, left, top } = geometry(viewport);
+      img.style.width = `${width}px`;
+      img.style.height = `${height}px`;
+      img.style.left = `${left}px`;
+      img.style.top = `${top}px`;
+      // Show real pixels once they are clearly magnified, instead of a blur
+      img.style.imageRendering = (width * dpr()) / img.naturalWidth >= 2 ? 'pixelated' : 'auto';
+    }
+
+    function render() {
+      if (!state.active) return;
+
+      clampCenter(currentZoom());
+      place(sourceImg, sourceViewport);
+      place(outputImg, outputViewport);
+
+      if (state.view === 'split') {
+        const { rect, width, left } = geometry(outputViewport);
+        const splitX = rect.width * state.split;
+        place(splitSource, outputViewport);
+        splitSource.style.clipPath = `inset(0 ${Math.max(0, left + width - splitX)}px 0 0)`;
+        splitHandle.style.left = `${splitX}px`;
+      }
+
+      const percent = Math.round(currentZoom() * dpr() * 100);
+      zoomLevel.textContent = state.zoom === null ? `Fit · ${percent}%` : `${percent}%`;
+      syncToolbar();
+    }
+
+    function syncToolbar() {
+      toolbar.querySelectorAll('[data-view]').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.view === state.view);
+      });
+      toolbar.querySelector('[data-zoom="fit"]').classList.toggle('active', state.zoom === null);
+      toolbar.querySelector('[data-zoom="1"]').classList.toggle('active', state.zoom === 1 / dpr());
+      toolbar.querySelector('[data-tool="loupe"]').classList.toggle('active', state.loupe);
+    }
+
+    /**
+     * Zoom, keeping the image point under (clientX, clientY) in place
+     */
+    function zoomTo(zoom, viewport = outputViewport, clientX, clientY) {
+      const before = geometry(viewport);
+      const next = Math.min(MAX_ZOOM, Math.max(fitZoom() / 4, zoom));
+
+      const anchorX = clientX === undefined ? before.rect.width / 2 : clientX - before.rect.left;
+      const anchorY = clientY === undefined ? before.rect.height / 2 : clientY - before.rect.top;
+      const pointX = (anchorX - before.left) / before.width;
+      const pointY = (anchorY - before.top) / before.height;
+
+      state.zoom = next;
+      const width = outputImg.naturalWidth * next;
+      const height = outputImg.naturalHeight * next;
+      state.centerX = (before.rect.width / 2 - (anchorX - pointX * width)) / width;
+      state.centerY = (before.rect.height / 2 - (anchorY - pointY * height)) / height;
+      render();
+    }
+
+    function fit() {
+      state.zoom = null;
+      state.centerX = 0.5;
+      state.centerY = 0.5;
+      render();
+    }
+
+    function setView(view) {
+      state.view = view;
+      workspace.classList.toggle('split-mode', view === 'split');
+
+      if (view === 'split' && !splitSource) {
+        splitSource = sourceImg.cloneNode();
+        splitSource.className = 'split-source';
+        splitSource.alt = 'Source image (split view)';
+        splitHandle = document.createElement('div');
+        splitHandle.className = 'split-handle';
+        outputViewport.append(splitSource, splitHandle);
+        splitHandle.addEventListener('pointerdown', startSplitDrag);
+      }
+      if (splitSource) {
+        splitSource.hidden = view !== 'split';
+        splitHandle.hidden = view !== 'split';
+      }
+      hideLoupes();
+      render();
+    }
+
+    // --- Pointer: pan, split handle, loupe ---
+
+    function startPan(event) {
+      if (!state.active || event.button !== 0 || event.target === splitHandle) return;
+      const viewport = event.currentTarget;
+      viewport.setPointerCapture(event.pointerId);
+      viewport.classList.add('panning');
+
+      let lastX = event.clientX;
+      let lastY = event.clientY;
+
+      const move = (e) => {
+        const { width, height } = geometry(viewport);
+        state.centerX -= (e.clientX - lastX) / width;
+        state.centerY -= (e.clientY - lastY) / height;
+        lastX = e.clientX;
+        lastY = e.clientY;
+        render();
+        updateLoupes(e);
+      };
+      const end = () => {
+        viewport.classList.remove('panning');
+        viewport.removeEventListener('pointermove', move);
+        viewport.removeEventListener('pointerup', end);
+        viewport.removeEventListener('pointercancel', end);
+      };
+
+      viewport.addEventListener('pointermove', move);
+      viewport.addEventListener('pointerup', end);
+      viewport.addEventListener('pointercancel', end);
+    }
+
+    function startSplitDrag(event) {
+      event.stopPropagation();
+      splitHandle.setPointerCapture(event.pointerId);
+
+      const move = (e) => {
+        const rect = outputViewport.getBoundingClientRect();
+        state.split = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+        render();
+      };
+      const end = () => {
+        splitHandle.removeEventListener('pointermove', move);
+        splitHandle.removeEventListener('pointerup', end);
+      };
+
+      splitHandle.addEventListener('pointermove', move);
+      splitHandle.addEventListener('pointerup', end);
+    }
+
+    function handleWheel(event) {
+      if (!state.active) return;
+      event.preventDefault();
+      const factor = event.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP;
+      zoomTo(currentZoom() * factor, event.currentTarget, event.clientX, event.clientY);
+      updateLoupes(event);
+    }
+
+    function loupeFor(viewport) {
+      if (!loupes.has(viewport)) {
+        const canvas = document.createElement('canvas');
+        canvas.className = 'loupe';
+        canvas.width = canvas.height = Math.round(LOUPE_SIZE * dpr());
+        viewport.appendChild(canvas);
+        loupes.set(viewport, canvas);
+      }
+      return loupes.get(viewport);
+    }
+
+    function hideLoupes() {
+      loupes.forEach(canvas => { canvas.hidden = true; });
+    }
+
+    /**
+     * Magnify the same image point in every visible panel
+     */
+    function updateLoupes(event) {
+      if (!state.active || !state.loupe) return;
+
+      const hovered = geometry(event.currentTarget);
+      const pointX = (event.clientX - hovered.rect.left - hovered.left) / hovered.width;
+      const pointY = (event.clientY - hovered.rect.top - hovered.top) / hovered.height;
+      if (pointX < 0 || pointX > 1 || pointY < 0 || pointY > 1) {
+        hideLoupes();
+        return;
+      }
+
+      // Screen px per output px inside the loupe
+      const scale = Math.max(hovered.zoom * LOUPE_MAGNIFICATION, LOUPE_MIN_SCALE / dpr());
+      const spanX = LOUPE_SIZE / scale / outputImg.naturalWidth;
+      const spanY = LOUPE_SIZE / scale / outputImg.naturalHeight;
+
+      viewports().forEach(viewport => {
+        const { left, top, width, height } = geometry(viewport);
+        const canvas = loupeFor(viewport);
+
+        let img = viewport === sourceViewport ? sourceImg : outputImg;
+        if (state.view === 'split' && left + pointX * width < viewport.getBoundingClientRect().width * state.split) {
+          img = sourceImg;
+        }
+
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingEnabled = false;
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(
+          img,
+          (pointX - spanX / 2) * img.naturalWidth,
+          (pointY - spanY / 2) * img.naturalHeight,
+          spanX * img.naturalWidth,
+          spanY * img.naturalHeight,
+          0, 0, canvas.width, canvas.height
+        );
+
+        canvas.style.left = `${left + pointX * width - LOUPE_SIZE / 2}px`;
+        canvas.style.top = `${top + pointY * height - LOUPE_SIZE / 2}px`;
+        canvas.hidden = false;
+      });
+    }
+
+    // --- Toolbar and keyboard ---
+
+    toolbar.addEventListener('click', (event) => {
+      const btn = event.target.closest('button');
+      if (!btn || !state.active) return;
+
+      if (btn.dataset.view) setView(btn.dataset.view);
+      if (btn.dataset.zoom === 'fit') fit();
+      if (btn.dataset.zoom === '1') zoomTo(1 / dpr());
+      if (btn.dataset.zoom === 'in') zoomTo(currentZoom() * ZOOM_STEP);
+      if (btn.dataset.zoom === 'out') zoomTo(currentZoom() / ZOOM_STEP);
+      if (btn.dataset.tool === 'loupe') {
+        state.loupe = !state.loupe;
+        hideLoupes();
+        render();
+      }
+    });
+
+    document.addEventListener('keydown', (event) => {
+      if (!state.active || event.metaKey || event.ctrlKey || event.altKey) return;
+      if (/^(INPUT|SELECT|TEXTAREA)$/.test(event.target.tagName)) return;
+
+      const actions = {
+        '0': fit,
+        '1': () => zoomTo(1 / dpr()),
+        '+': () => zoomTo(currentZoom() * ZOOM_STEP),
+        '=': () => zoomTo(currentZoom() * ZOOM_STEP),
+        '-': () => zoomTo(currentZoom() / ZOOM_STEP),
+        's': () => setView(state.view === 'split' ? 'side' : 'split'),
+        'l': () => toolbar.querySelector('[data-tool="loupe"]').click()
+      };
+      const action = actions[event.key.toLowerCase()];
+      if (action) {
+        event.preventDefault();
+        action();
+      }
+    });
+
+    [sourceViewport, outputViewport].forEach(viewport => {
+      viewport.addEventListener('wheel', handleWheel, { passive: false });
+      viewport.addEventListener('pointerdown', startPan);
+      viewport.addEventListener('pointermove', updateLoupes);
+      viewport.addEventListener('pointerleave', hideLoupes);
+    });
+    global.addEventListener('resize', render);
+
+    /**
+     * Start comparing once the upscale has loaded
+     */
+    function show(source, output) {
+      sourceImg = source;
+      outputImg = output;
+      state.active = true;
+      state.zoom = null;
+      state.centerX = 0.5;
+      state.centerY = 0.5;
+
+      sourceViewport.classList.add('zoomable');
+      outputViewport.classList.add('zoomable');
+      toolbar.hidden = false;
+      setView(state.view);
+    }
+
+    /**
+     * Back to the plain panels (a new upscale is running)
+     */
+    function hide() {
+      if (!state.active) return;
+      state.active = false;
+
+      [sourceImg, outputImg].forEach(img => img?.removeAttribute('style'));
+      splitSource?.remove();
+      splitHandle?.remove();
+      splitSource = splitHandle = null;
+      loupes.forEach(canvas => canvas.remove());
+      loupes.clear();
+
+      sourceViewport.classList.remove('zoomable');
+      outputViewport.classList.remove('zoomable');
+      workspace.classList.remove('split-mode');
+      toolbar.hidden = true;
+    }
+
+    return { show, hide };
+  }
+
+  global.HiResCompareViewer = {
+    create
+  };
+})(self);
@@ -0,0 +1,282 @@
+/**
+ * HiRes - Crop Tool
+ * Region-of-interest selection over the studio's source image, free-form or at
+ * a fixed aspect ratio, and the crop itself. Only the region is sent to the
+ * provider, so a 4× of a logo or a face costs one small call instead of a
+ * huge one.
+ *
+ * Rectangles are always in source-image pixels: { x, y, width, height }.
+ */
+
+(function (global) {
+  'use strict';
+
+  // Smaller selections are treated as a click, which clears the crop
+  const MIN_SIZE = 16;
+
+  // ratio is width / height; null is free-form, 'original' follows the image
+  const ASPECTS = [
+    { id: 'free', label: 'Free', ratio: null },
+    { id: 'original', label: 'Original', ratio: 'original' },
+    { id: '1:1', label: '1:1', ratio: 1 },
+    { id: '4:3', label: '4:3', ratio: 4 / 3 },
+    { id: '3:4', label: '3:4', ratio: 3 / 4 },
+    { id: '3:2', label: '3:2', ratio: 3 / 2 },
+    { id: '2:3', label: '2:3', ratio: 2 / 3 },
+    { id: '16:9', label: '16:9', ratio: 16 / 9 },
+    { id: '9:16', label: '9:16', ratio: 9 / 16 }
+  ];
+
+  // Corner handles and the corner each one drags away from
+  const HANDLES = { nw: 'se', ne: 'sw', sw: 'ne', se: 'nw' };
+
+  /**
+   * Attach the tool to the element that holds the source image
+   * @param {Object} elements - { frame, onChange }; onChange receives the new rect or null
+   * @returns {{attach: Function, detach: Function, setEditing: Function, setAspect: Function, getRect: Function, clear: Function}}
+   */
+  function create({ frame, onChange }) {
+    let img = null;
+    let rect = null;
+    let editing = false;
+    let aspect = null;
+
+    const overlay = document.createElement('div');
+    overlay.className = 'crop-overlay';
+    const box = document.createElement('div');
+    box.className = 'crop-box';
+    Object.keys(HANDLES).forEach(handle => {
+      const el = document.createElement('span');
+      el.className = `crop-handle crop-handle-${handle}`;
+      el.dataset.handle = handle;
+      box.appendChild(el);
+    });
+    overlay.appendChild(box);
+
+    const ratio = () => (aspect === 'original' ? img.naturalWidth / img.naturalHeight : aspect);
+    // Screen px per source px; the image keeps its aspect, so one number covers both axes
+    const displayScale = () => img.clientWidth / img.naturalWidth;
+
+    function render() {
+      if (!img || !overlay.isConnected) return;
+      overlay.style.left = `${img.offsetLeft}px`;
+      overlay.style.top = `${img.offsetTop}px`;
+      overlay.style.width = `${img.clientWidth}px`;
+      overlay.style.height = `${img.clientHeight}px`;
+      overlay.classList.toggle('editing', editing);
+      overlay.hidden = !editing && !rect;
+
+      box.hidden = !rect;
+      if (rect) {
+        const s = displayScale();
+        box.style.left = `${rect.x * s}px`;
+        box.style.top = `${rect.y * s}px`;
+        box.style.width = `${rect.width * s}px`;
+        box.style.height = `${rect.height * s}px`;
+      }
+    }
+
+    function setRect(next) {
+      rect = next && next.width >= MIN_SIZE && next.height >= MIN_SIZE ? next : null;
+      render();
+      onChange?.(rect);
+    }
+
+    const round = (r) => ({ x: Math.round(r.x), y: Math.round(r.y), width: Math.round(r.width), height: Math.round(r.height) });
+
+    /**
+     * The rectangle from a fixed corner to the pointer, at the aspect ratio and inside the image
+     */
+    function fromCorner(anchorX, anchorY, pointX, pointY) {
+      const dx = pointX - anchorX;
+      const dy = pointY - anchorY;
+      const maxWidth = dx >= 0 ? img.naturalWidth - anchorX : anchorX;
+      const maxHeight = dy >= 0 ? img.naturalHeight - anchorY : anchorY;
+      let width = Math.min(Math.abs(dx), maxWidth);
+      let height = Math.min(Math.abs(dy), maxHeight);
+
+      const r = ratio();
+      if (r) {
+        width = Math.min(Math.max(width, height * r), maxWidth, maxHeight * r);
+        height = width / r;
+      }
+
+      return round({
+        x: dx >= 0 ? anchorX : anchorX - width,
+        y: dy >= 0 ? anchorY : anchorY - height,
+        width,
+        height
+      });
+    }
+
+    /**
+     * Refit the current selection to the aspect ratio around its centre
+     */
+    function fitToAspect() {
+      if (!rect) return;
+      const r = ratio();
+      if (!r) return;
+
+      const centerX = rect.x + rect.width / 2;
+      const centerY = rect.y + rect.height / 2;
+      let width = Math.sqrt(rect.width * rect.height * r);
+      let height = width / r;
+      const shrink = Math.min(1, img.naturalWidth / width, img.naturalHeight / height);
+      width *= shrink;
+      height *= shrink;
+
+      setRect(round({
+        x: Math.min(img.naturalWidth - width, Math.max(0, centerX - width / 2)),
+        y: Math.min(img.naturalHeight - height, Math.max(0, centerY - height / 2)),
+        width,
+        height
+      }));
+    }
+
+    // --- Pointer: draw, move, resize ---
+
+    function toImage(event) {
+      const bounds = overlay.getBoundingClientRect();
+      const s = displayScale();
+      return {
+        x: Math.min(img.naturalWidth, Math.max(0, (event.clientX - bounds.left) / s)),
+        y: Math.min(img.naturalHeight, Math.max(0, (event.clientY - bounds.top) / s))
+      };
+    }
+
+    overlay.addEventListener('pointerdown', (event) => {
+      if (!editing || event.button !== 0) return;
+      // Keep the compare viewer from panning underneath
+      event.stopPropagation();
+      event.preventDefault();
+      overlay.setPointerCapture(event.pointerId);
+
+      const start = toImage(event);
+      const handle = event.target.dataset.handle;
+      const startRect = rect;
+      let update;
+
+      if (handle) {
+        // Drag the corner opposite the fixed one
+        const fixed = HANDLES[handle];
+        const anchorX = fixed.includes('w') ? rect.x : rect.x + rect.width;
+        const anchorY = fixed.includes('n') ? rect.y : rect.y + rect.height;
+        update = (point) => fromCorner(anchorX, anchorY, point.x, point.y);
+      } else if (event.target === box) {
+        update = (point) => round({
+          ...startRect,
+          x: Math.min(img.naturalWidth - startRect.width, Math.max(0, startRect.x + point.x - start.x)),
+          y: Math.min(img.naturalHeight - startRect.height, Math.max(0, startRect.y + point.y - start.y))
+        });
+      } else {
+        update = (point) => fromCorner(start.x, start.y, point.x, point.y);
+      }
+
+      const move = (e) => {
+        rect = update(toImage(e));
+        render();
+      };
+      const end = (e) => {
+        overlay.removeEventListener('pointermove', move);
+        overlay.removeEventListener('pointerup', end);
+        overlay.removeEventListener('pointercancel', end);
+        setRect(e.type === 'pointercancel' ? startRect : update(toImage(e)));
+      };
+
+      overlay.addEventListener('pointermove', move);
+      overlay.addEventListener('pointerup', end);
+      overlay.addEventListener('pointercancel', end);
+    });
+
+    global.addEventListener('resize', render);
+
+    /**
+     * Show the selection over a loaded source image
+     * @param {HTMLImageElement} image
+     * @param {Object|null} initial - A rect to start from
+     */
+    function attach(image, initial) {
+      img = image;
+      frame.appendChild(overlay);
+      // The image settles after its reveal animation
+      img.addEventListener('animationend', render, { once: true });
+
+      // A rect from a URL or an older image may not fit this one
+      let fitted = null;
+      if (initial) {
+        const x = Math.max(0, Math.min(initial.x, img.naturalWidth - MIN_SIZE));
+        const y = Math.max(0, Math.min(initial.y, img.naturalHeight - MIN_SIZE));
+        fitted = { x, y, width: Math.min(initial.width, img.naturalWidth - x), height: Math.min(initial.height, img.naturalHeight - y) };
+      }
+
+      if (fitted && Object.keys(fitted).some(key => fitted[key] !== initial[key])) {
+        setRect(fitted);
+      } else {
+        rect = fitted;
+        render();
+      }
+    }
+
+    /**
+     * Take the overlay off (the compare viewer is using the image)
+     */
+    function detach() {
+      overlay.remove();
+    }
+
+    function setEditing(on) {
+      editing = on;
+      render();
+    }
+
+    function setAspect(id) {
+      aspect = ASPECTS.find(a => a.id === id)?.ratio ?? null;
+      fitToAspect();
+    }
+
+    return {
+      attach,
+      detach,
+      setEditing,
+      setAspect,
+      getRect: () => rect,
+      clear: () => setRect(null)
+    };
+  }
+
+  /**
+   * Cut a region out of an image, losslessly
+   * @param {Blob} blob - The full source
+   * @param {Object} rect - { x, y, width, height } in source pixels
+   * @returns {Promise<Blob>} PNG of the region
+   */
+  async function crop(blob, { x, y, width, height }) {
+    // Keep the source's colour values; its profile is re-attached to the upscale (lib/metadata.js)
+    const region = await createImageBitmap(blob, x, y, width, height, { colorSpaceConversion: 'none' });
+    const canvas = new OffscreenCanvas(width, height);
+    canvas.getContext('2d').drawImage(region, 0, 0);
+    region.close();
+    return canvas.convertToBlob({ type: 'image/png' });
+  }
+
+  /**
+   * Parse "x,y,width,height" (the studio's crop URL parameter)
+   */
+  function parse(text) {
+    const [x, y, width, height] = String(text || '').split(',').map(Number);
+    if (![x, y, width, height].every(Number.isInteger) || x < 0 || y < 0 || width < MIN_SIZE || height < MIN_SIZE) {
+      return null;
+    }
+    return { x, y, width, height };
+  }
+
+  const format = (rect) => `${rect.x},${rect.y},${rect.width},${rect.height}`;
+
+  global.HiResCropTool = {
+    ASPECTS,
+    create,
+    crop,
+    parse,
+    format
+  };
+})(self);
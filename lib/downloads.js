@@ -0,0 +1,156 @@
+/**
+ * HiRes - Downloads
+ * Saves originals and upscales through chrome.downloads, naming files from templates.
+ *
+ * Template tokens: {query} {domain} {name} {width} {height} {scale} {provider} {date} {time}
+ * A "/" in a template creates subfolders inside the browser's download directory.
+ */
+
+(function (global) {
+  'use strict';
+
+  const TOKENS = ['query', 'domain', 'name', 'width', 'height', 'scale', 'provider', 'date', 'time'];
+
+  const IMAGE_EXTENSIONS = /\.(jpe?g|png|gif|webp|avif|bmp|svg|tiff?)$/i;
+
+  const MIME_EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'image/avif': 'avif',
+    'image/bmp': 'bmp',
+    'image/svg+xml': 'svg',
+    'image/tiff': 'tiff'
+  };
+
+  const pad = (n) => String(n).padStart(2, '0');
+
+  /**
+   * Make one path segment safe for every OS the browser runs on
+   */
+  function sanitizeSegment(segment) {
+    return segment
+      .replace(/[<>:"\\|?*\x00-\x1f]/g, '_')
+      .replace(/\s+/g, ' ')
+      // Tokens that came out empty leave doubled separators behind
+      .replace(/([_\- .])[_\- ]+/g, '$1')
+      .replace(/^[_\- .]+|[_\- .]+$/g, '')
+      .slice(0, 80);
+  }
+
+  /**
+   * File name (without extension) and extension from a URL path
+   */
+  function splitUrlName(url) {
+    try {
+      const { pathname } = new URL(url);
+      const last = decodeURIComponent(pathname.split('/').pop() || '');
+      const match = last.match(IMAGE_EXTENSIONS);
+      return {
+        name: match ? last.slice(0, -match[0].length) : last,
+        ext: match ? match[1].toLowerCase().replace('jpeg', 'jpg') : ''
+      };
+    } catch {
+      return { name: '', ext: '' };
+    }
+  }
+
+  /**
+   * Template variables for an image URL, merged with what the caller knows
+   */
+  function describe(url, vars = {}) {
+    const now = new Date();
+    const { name, ext } = splitUrlName(vars.sourceUrl || url);
+    let domain = '';
+    try {
+      domain = new URL(vars.sourceUrl || url).hostname.replace(/^www\./, '');
+    } catch { /* blob: or data: URL */ }
+
+    const known = Object.fromEntries(Object.entries(vars).filter(([, value]) => value != null && value !== ''));
+
+    return {
+      query: '',
+      domain,
+      name: name || 'image',
+      width: '',
+      height: '',
+      scale: '',
+      provider: '',
+      date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+      time: `${pad(now.getHours())}-${pad(now.getMinutes())}-${pad(now.getSeconds())}`,
+      ext: splitUrlName(url).ext || ext,
+      ...known
+    };
+  }
+
+  /**
+   * Expand a template into a relative download path
+   */
+  function buildFilename(template, vars) {
+    const expanded = template.replace(/\{(\w+)\}/g, (token, key) => (
+      TOKENS.includes(key) && vars[key] != null ? String(vars[key]).replace(/\//g, '_') : ''
+    ));
+
+    const segments = expanded.split('/').map(sanitizeSegment).filter(Boolean);
+    if (segments.length === 0) segments.push('image');
+
+    const ext = vars.ext || 'png';
+    return `${segments.join('/')}.${ext}`;
+  }
+
+  /**
+   * Download an image using the template for its kind
+   * @param {string} url - Image URL (http(s), data: or a blob: URL owned by the caller's page)
+   * @param {'original'|'upscaled'} kind - Which template to use
+   * @param {Object} [vars] - Known template values, e.g. { query, width, height, scale, provider, ext }
+   * @returns {Promise<number>} Download id
+   */
+  async function download(url, kind, vars = {}) {
+    const settings = await HiResSettings.load();
+    const { downloads } = settings;
+    const template = kind === 'upscaled' ? downloads.upscaleTemplate : downloads.originalTemplate;
+
+    const filename = buildFilename(template, describe(url, vars));
+
+    return chrome.downloads.download({
+      url,
+      filename,
+      conflictAction: downloads.conflictAction === 'prompt' ? 'uniquify' : downloads.conflictAction,
+      saveAs: downloads.conflictAction === 'prompt'
+    });
+  }
+
+  /**
+   * Wait for a download to finish - a blob: URL must outlive the download that reads it
+   * @returns {Promise<'complete'|'interrupted'>}
+   */
+  function whenDone(downloadId) {
+    return new Promise(resolve => {
+      const finish = (state) => {
+        chrome.downloads.onChanged.removeListener(listener);
+        resolve(state);
+      };
+      const listener = (delta) => {
+        if (delta.id === downloadId && delta.state && delta.state.current !== 'in_progress') {
+          finish(delta.state.current);
+        }
+      };
+      chrome.downloads.onChanged.addListener(listener);
+
+      // Small files can finish before the listener is in place
+      chrome.downloads.search({ id: downloadId }).then(([item]) => {
+        if (item && item.state !== 'in_progress') finish(item.state);
+      });
+    });
+  }
+
+  global.HiResDownloads = {
+    TOKENS,
+    MIME_EXTENSIONS,
+    describe,
+    buildFilename,
+    download,
+    whenDone
+  };
+})(self);
@@ -0,0 +1,106 @@
+/**
+ * HiRes - Exporter
+ * Re-encodes an upscaled result locally: format, quality, alpha and a long-edge cap.
+ * Uses the browser's own encoders (OffscreenCanvas) and falls back to the jSquash
+ * WASM encoders vendored with the extension for formats the browser can't write
+ * (AVIF in Chrome).
+ */
+
+(function (global) {
+  'use strict';
+
+  const FORMATS = {
+    png: { type: 'image/png', label: 'PNG', lossy: false, alpha: true },
+    jpeg: { type: 'image/jpeg', label: 'JPEG', lossy: true, alpha: false },
+    webp: { type: 'image/webp', label: 'WebP', lossy: true, alpha: true },
+    avif: { type: 'image/avif', label: 'AVIF', lossy: true, alpha: true }
+  };
+
+  // ES module encoders (jSquash builds), loaded only when the browser can't encode natively
+  const WASM_ENCODERS = {
+    'image/webp': 'vendor/jsquash/webp/encode.js',
+    'image/avif': 'vendor/jsquash/avif/encode.js'
+  };
+
+  const nativeSupport = {};
+  const wasmModules = {};
+
+  /**
+   * Whether OffscreenCanvas can write this type (unsupported types silently come back as PNG)
+   */
+  async function canEncodeNatively(type) {
+    if (!(type in nativeSupport)) {
+      const blob = await new OffscreenCanvas(1, 1).convertToBlob({ type }).catch(() => null);
+      nativeSupport[type] = blob?.type === type;
+    }
+    return nativeSupport[type];
+  }
+
+  function loadWasmEncoder(type) {
+    if (!wasmModules[type]) {
+      wasmModules[type] = import(chrome.runtime.getURL(WASM_ENCODERS[type])).catch(() => {
+        delete wasmModules[type];
+        throw new Error(`No ${type.split('/')[1].toUpperCase()} encoder in this browser, and the WASM encoder failed to load (${WASM_ENCODERS[type]})`);
+      });
+    }
+    return wasmModules[type];
+  }
+
+  /**
+   * Target size for a long-edge cap (never upscales)
+   */
+  function fitLongEdge(width, height, maxEdge) {
+    const ratio = maxEdge ? Math.min(1, maxEdge / Math.max(width, height)) : 1;
+    return { width: Math.max(1, Math.round(width * ratio)), height: Math.max(1, Math.round(height * ratio)) };
+  }
+
+  /**
+   * Re-encode an image
+   * @param {Blob} blob - The upscaled result
+   * @param {Object} options
+   * @param {string} options.format - A key of FORMATS
+   * @param {number} [options.quality] - 0..1, lossy formats only
+   * @param {'keep'|'strip'} [options.alpha] - Strip flattens onto `background` (always for JPEG)
+   * @param {string} [options.background] - CSS colour behind stripped transparency
+   * @param {number} [options.maxEdge] - Cap on the longest side in px, 0 for none
+   * @returns {Promise<{blob: Blob, width: number, height: number, encoder: 'native'|'wasm'}>}
+   */
+  async function encode(blob, { format, quality = 0.85, alpha = 'keep', background = '#ffffff', maxEdge = 0 }) {
+    const target = FORMATS[format];
+    if (!target) throw new Error(`Unknown export format "${format}"`);
+
+    // No colour conversion: the source's profile is written into the export afterwards
+    const source = await createImageBitmap(blob, { colorSpaceConversion: 'none' });
+    const { width, height } = fitLongEdge(source.width, source.height, maxEdge);
+
+    // Chrome's 'high' resize quality is a proper filtered downscale, not a single bilinear pass
+    const resized = width === source.width
+      ? source
+      : await createImageBitmap(source, { resizeWidth: width, resizeHeight: height, resizeQuality: 'high' });
+
+    const canvas = new OffscreenCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    if (alpha === 'strip' || !target.alpha) {
+      ctx.fillStyle = background;
+      ctx.fillRect(0, 0, width, height);
+    }
+    ctx.drawImage(resized, 0, 0);
+    source.close();
+    resized.close();
+
+    if (await canEncodeNatively(target.type)) {
+      const output = await canvas.convertToBlob({ type: target.type, quality: target.lossy ? quality : undefined });
+      return { blob: output, width, height, encoder: 'native' };
+    }
+
+    const { default: wasmEncode } = await loadWasmEncoder(target.type);
+    const buffer = await wasmEncode(ctx.getImageData(0, 0, width, height), { quality: Math.round(quality * 100) });
+    return { blob: new Blob([buffer], { type: target.type }), width, height, encoder: 'wasm' };
+  }
+
+  global.HiResExport = {
+    FORMATS,
+    fitLongEdge,
+    encode
+  };
+})(self);
@@ -0,0 +1,182 @@
+/**
+ * HiRes - History
+ * Every finished upscale, kept in IndexedDB with its output blob so results
+ * outlive the provider's temporary URL. Oldest-used entries are evicted when
+ * the library grows past the storage quota from settings.
+ */
+
+(function (global) {
+  'use strict';
+
+  const DB_NAME = 'hires';
+  const DB_VERSION = 1;
+  const STORE = 'jobs';
+
+  const THUMBNAIL_SIZE = 320;
+
+  let dbPromise = null;
+
+  /**
+   * Wrap an IDBRequest in a promise
+   */
+  function promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  function open() {
+    if (!dbPromise) {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('createdAt', 'createdAt');
+        store.createIndex('lastAccessed', 'lastAccessed');
+      };
+      dbPromise = promisify(request).catch(error => {
+        dbPromise = null;
+        throw error;
+      });
+    }
+    return dbPromise;
+  }
+
+  /**
+   * Run fn(store) in a transaction and resolve when the transaction commits
+   */
+  async function transact(mode, fn) {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      let result;
+      Promise.resolve(fn(tx.objectStore(STORE)))
+        .then(value => { result = value; })
+        .catch(reject);
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('History transaction aborted'));
+    });
+  }
+
+  /**
+   * Small preview for the history grid, so browsing doesn't decode every full-size output
+   */
+  async function makeThumbnail(blob) {
+    const bitmap = await createImageBitmap(blob);
+    const ratio = Math.min(1, THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height));
+    const canvas = new OffscreenCanvas(Math.round(bitmap.width * ratio), Math.round(bitmap.height * ratio));
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+    return canvas.convertToBlob({ type: 'image/jpeg', quality: 0.8 });
+  }
+
+  /**
+   * Store a finished job, then evict old entries beyond the quota
+   * @param {Object} job - { sourceUrl ('' for local files), sourceName, query, provider, scale, preset,
+   *                         crop (the region sent, or null), width, height, sourceWidth, sourceHeight, blob }
+   * @returns {Promise<number>} The new entry's id
+   */
+  async function add(job) {
+    const now = Date.now();
+    const entry = {
+      ...job,
+      size: job.blob.size,
+      type: job.blob.type,
+      thumbnail: await makeThumbnail(job.blob).catch(() => null),
+      createdAt: now,
+      lastAccessed: now
+    };
+
+    const id = await transact('readwrite', store => promisify(store.add(entry)));
+
+    const { history } = await HiResSettings.load();
+    await enforceQuota(history.quotaMB * 1024 * 1024);
+    return id;
+  }
+
+  /**
+   * All entries, newest first, optionally filtered by a search string
+   * (matched against source URL or file name, search query, provider, scale and preset)
+   */
+  async function list(search = '') {
+    const entries = await transact('readonly', store => promisify(store.getAll()));
+    const terms = search.toLowerCase().split(/\s+/).filter(Boolean);
+
+    return entries
+      .filter(entry => {
+        const haystack = [entry.sourceUrl, entry.sourceName, entry.query, entry.provider, `${entry.scale}x`, entry.preset?.name]
+          .join(' ')
+          .toLowerCase();
+        return terms.every(term => haystack.includes(term));
+      })
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  function get(id) {
+    return transact('readonly', store => promisify(store.get(id)));
+  }
+
+  /**
+   * Mark an entry as used (viewed, downloaded, re-run) for LRU eviction
+   */
+  function touch(id) {
+    return transact('readwrite', async store => {
+      const entry = await promisify(store.get(id));
+      if (!entry) return;
+      entry.lastAccessed = Date.now();
+      await promisify(store.put(entry));
+    });
+  }
+
+  function remove(id) {
+    return transact('readwrite', store => promisify(store.delete(id)));
+  }
+
+  function clear() {
+    return transact('readwrite', store => promisify(store.clear()));
+  }
+
+  /**
+   * Total bytes of stored outputs and number of entries
+   */
+  async function usage() {
+    const entries = await transact('readonly', store => promisify(store.getAll()));
+    return {
+      count: entries.length,
+      bytes: entries.reduce((sum, entry) => sum + (entry.size || 0), 0)
+    };
+  }
+
+  /**
+   * Delete least-recently-used entries until the library fits in maxBytes
+   * @returns {Promise<number>} How many entries were evicted
+   */
+  function enforceQuota(maxBytes) {
+    return transact('readwrite', async store => {
+      const entries = await promisify(store.getAll());
+      let total = entries.reduce((sum, entry) => sum + (entry.size || 0), 0);
+      let evicted = 0;
+
+      const oldestFirst = entries.sort((a, b) => a.lastAccessed - b.lastAccessed);
+      for (const entry of oldestFirst) {
+        if (total <= maxBytes) break;
+        await promisify(store.delete(entry.id));
+        total -= entry.size || 0;
+        evicted++;
+      }
+      return evicted;
+    });
+  }
+
+  global.HiResHistory = {
+    add,
+    list,
+    get,
+    touch,
+    remove,
+    clear,
+    usage,
+    enforceQuota
+  };
+})(self);
@@ -0,0 +1,123 @@
+/**
+ * HiRes - Image Input
+ * Collects images handed to a page: pasted (image data or an image URL), dropped
+ * (files from the desktop, or an image dragged out of another tab) and picked
+ * with a file input. Local files stay Blobs, so nothing re-encodes them.
+ */
+
+(function (global) {
+  'use strict';
+
+  const IMAGE_URL = /^(https?:\/\/|data:image\/)/i;
+
+  /**
+   * Queue items for image files: { url (object URL), file, name }
+   */
+  function fromFiles(files) {
+    return [...files]
+      .filter(file => file.type.startsWith('image/'))
+      .map(file => ({ url: URL.createObjectURL(file), file, name: file.name }));
+  }
+
+  function nameFromUrl(url) {
+    if (url.startsWith('data:')) return 'pasted image';
+    try {
+      return decodeURIComponent(new URL(url).pathname.split('/').pop()) || url;
+    } catch {
+      return url;
+    }
+  }
+
+  /**
+   * Queue items for image URLs in a text/uri-list or plain text payload
+   */
+  function fromText(text) {
+    return (text || '')
+      .split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#') && IMAGE_URL.test(line))
+      .map(url => ({ url, file: null, name: nameFromUrl(url) }));
+  }
+
+  /**
+   * Images dragged out of a web page arrive as HTML; the <img> src is the image,
+   * while the uri-list may be the link around it
+   */
+  function fromHtml(html) {
+    if (!html) return [];
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    return fromText([...doc.images].map(img => img.src).join('\n'));
+  }
+
+  /**
+   * Everything usable in a paste or drop, files first
+   */
+  function fromDataTransfer(data) {
+    const files = fromFiles(data.files || []);
+    if (files.length) return files;
+
+    const html = fromHtml(data.getData('text/html'));
+    if (html.length) return html;
+
+    return fromText(data.getData('text/uri-list') || data.getData('text/plain'));
+  }
+
+  const carriesImages = (data) => ['Files', 'text/uri-list', 'text/html'].some(type => data.types.includes(type));
+
+  /**
+   * Listen for pasted, dropped and picked images
+   * @param {Object} options
+   * @param {HTMLElement} options.dropTarget - Element that accepts drops
+   * @param {HTMLInputElement} [options.fileInput] - <input type="file"> for the picker
+   * @param {Function} options.onImages - Receives [{ url, file, name }]; file is null for URLs
+   * @param {Function} [options.onDragState] - true while something droppable hovers the target
+   */
+  function attach({ dropTarget, fileInput, onImages, onDragState }) {
+    document.addEventListener('paste', (e) => {
+      // Leave pastes into form fields alone
+      if (e.target.closest?.('input, textarea, select, [contenteditable]')) return;
+
+      const items = fromDataTransfer(e.clipboardData);
+      if (items.length === 0) return;
+      e.preventDefault();
+      onImages(items);
+    });
+
+    let depth = 0;
+    dropTarget.addEventListener('dragenter', (e) => {
+      if (!carriesImages(e.dataTransfer)) return;
+      e.preventDefault();
+      if (depth++ === 0) onDragState?.(true);
+    });
+    dropTarget.addEventListener('dragover', (e) => {
+      if (!carriesImages(e.dataTransfer)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+    });
+    dropTarget.addEventListener('dragleave', () => {
+      if (depth > 0 && --depth === 0) onDragState?.(false);
+    });
+    dropTarget.addEventListener('drop', (e) => {
+      e.preventDefault();
+      depth = 0;
+      onDragState?.(false);
+
+      const items = fromDataTransfer(e.dataTransfer);
+      if (items.length) onImages(items);
+    });
+
+    fileInput?.addEventListener('change', () => {
+      const items = fromFiles(fileInput.files);
+      // Picking the same file again should fire another change
+      fileInput.value = '';
+      if (items.length) onImages(items);
+    });
+  }
+
+  global.HiResImageInput = {
+    attach,
+    fromFiles,
+    fromText,
+    fromDataTransfer
+  };
+})(self);
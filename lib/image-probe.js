@@ -0,0 +1,188 @@
+/**
+ * HiRes - Image Probe
+ * Fetches just the head of a candidate image, reads its real dimensions from the
+ * file header (JPEG/PNG/GIF/WebP/AVIF) and ranks candidates by resolution.
+ */
+
+(function (global) {
+  'use strict';
+
+  // Enough for the header of almost any file, including JPEGs with big EXIF blocks
+  const PROBE_BYTES = 128 * 1024;
+  const PROBE_TIMEOUT = 6000;
+  const MAX_CANDIDATES = 8;
+
+  const ascii = (bytes, start, length) => String.fromCharCode(...bytes.subarray(start, start + length));
+  const u16be = (b, i) => (b[i] << 8) | b[i + 1];
+  const u16le = (b, i) => b[i] | (b[i + 1] << 8);
+  const u24le = (b, i) => b[i] | (b[i + 1] << 8) | (b[i + 2] << 16);
+  const u32be = (b, i) => ((b[i] << 24) >>> 0) + ((b[i + 1] << 16) | (b[i + 2] << 8) | b[i + 3]);
+
+  function parseJpeg(b) {
+    let i = 2;
+    while (i + 9 < b.length) {
+      if (b[i] !== 0xFF) return null;
+      const marker = b[i + 1];
+
+      // Padding and standalone markers carry no length
+      if (marker === 0xFF) { i++; continue; }
+      if (marker === 0xD8 || (marker >= 0xD0 && marker <= 0xD7) || marker === 0x01) { i += 2; continue; }
+
+      // Start-of-frame (baseline, progressive, lossless...), not DHT/JPG/DAC
+      if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+        return { type: 'jpeg', height: u16be(b, i + 5), width: u16be(b, i + 7) };
+      }
+      i += 2 + u16be(b, i + 2);
+    }
+    return null;
+  }
+
+  function parseWebp(b) {
+    const chunk = ascii(b, 12, 4);
+    if (chunk === 'VP8 ' && b.length >= 30) {
+      return { type: 'webp', width: u16le(b, 26) & 0x3FFF, height: u16le(b, 28) & 0x3FFF };
+    }
+    if (chunk === 'VP8L' && b.length >= 25) {
+      return {
+        type: 'webp',
+        width: 1 + (((b[22] & 0x3F) << 8) | b[21]),
+        height: 1 + (((b[24] & 0x0F) << 10) | (b[23] << 2) | ((b[22] & 0xC0) >> 6))
+      };
+    }
+    if (chunk === 'VP8X' && b.length >= 30) {
+      return { type: 'webp', width: 1 + u24le(b, 24), height: 1 + u24le(b, 27) };
+    }
+    return null;
+  }
+
+  /**
+   * AVIF/HEIF: the image spatial extents ('ispe') box holds the size
+   */
+  function parseAvif(b) {
+    for (let i = 4; i + 16 < b.length; i++) {
+      if (b[i] === 0x69 && ascii(b, i, 4) === 'ispe') {
+        return { type: 'avif', width: u32be(b, i + 8), height: u32be(b, i + 12) };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Read type and dimensions from the first bytes of an image file
+   * @param {Uint8Array} bytes
+   * @returns {{type: string, width: number, height: number}|null}
+   */
+  function parseDimensions(bytes) {
+    const b = bytes;
+    if (b.length < 12) return null;
+
+    if (b[0] === 0xFF && b[1] === 0xD8) return parseJpeg(b);
+    if (b[0] === 0x89 && ascii(b, 1, 3) === 'PNG' && b.length >= 24) {
+      return { type: 'png', width: u32be(b, 16), height: u32be(b, 20) };
+    }
+    if (ascii(b, 0, 4) === 'GIF8') {
+      return { type: 'gif', width: u16le(b, 6), height: u16le(b, 8) };
+    }
+    if (ascii(b, 0, 4) === 'RIFF' && ascii(b, 8, 4) === 'WEBP') return parseWebp(b);
+    if (ascii(b, 4, 4) === 'ftyp' && /avi[fs]|heic|mif1/.test(ascii(b, 8, 16))) return parseAvif(b);
+    if (ascii(b, 0, 2) === 'BM' && b.length >= 26) {
+      // Height is negative for top-down bitmaps
+      const view = new DataView(b.buffer, b.byteOffset, b.length);
+      return { type: 'bmp', width: view.getInt32(18, true), height: Math.abs(view.getInt32(22, true)) };
+    }
+    return null;
+  }
+
+  /**
+   * Read at most `limit` bytes of a response body, then stop the download
+   */
+  async function readHead(response, limit) {
+    const reader = response.body.getReader();
+    const chunks = [];
+    let size = 0;
+
+    while (size < limit) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      size += value.length;
+    }
+    reader.cancel().catch(() => {});
+
+    const bytes = new Uint8Array(Math.min(size, limit));
+    let offset = 0;
+    for (const chunk of chunks) {
+      const part = chunk.subarray(0, bytes.length - offset);
+      bytes.set(part, offset);
+      offset += part.length;
+      if (offset >= bytes.length) break;
+    }
+    return bytes;
+  }
+
+  /**
+   * Probe one candidate with a ranged fetch
+   * @returns {Promise<{url: string, ok: boolean, width?: number, height?: number, type?: string, reason?: string}>}
+   */
+  async function probe(url, timeout = PROBE_TIMEOUT) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      const response = await fetch(url, {
+        headers: { 'Range': `bytes=0-${PROBE_BYTES - 1}` },
+        credentials: 'omit',
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        return { url, ok: false, reason: `HTTP ${response.status}` };
+      }
+
+      const contentType = response.headers.get('content-type') || '';
+      if (contentType.includes('text/html')) {
+        response.body?.cancel().catch(() => {});
+        return { url, ok: false, reason: 'HTML page, not an image' };
+      }
+
+      const info = parseDimensions(await readHead(response, PROBE_BYTES));
+      if (!info || !info.width || !info.height) {
+        return { url, ok: false, reason: `Unreadable image (${contentType || 'no type'})` };
+      }
+
+      // Tracking pixels and "image removed" stubs
+      if (info.width < 16 || info.height < 16) {
+        return { url, ok: false, reason: 'Placeholder-sized image', ...info };
+      }
+
+      return { url, ok: true, ...info };
+    } catch (error) {
+      return { url, ok: false, reason: error.name === 'AbortError' ? 'Timed out' : error.message };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Probe candidates in parallel and sort the valid ones by pixel count, largest first
+   * @param {string[]} urls - Candidate URLs, in order of preference (ties keep this order)
+   * @returns {Promise<Array>} Valid probe results
+   */
+  async function rank(urls) {
+    const unique = [...new Set((urls || []).filter(url => /^https?:/.test(url)))].slice(0, MAX_CANDIDATES);
+    const results = await Promise.all(unique.map(url => probe(url)));
+
+    results.filter(r => !r.ok).forEach(r => console.warn('HiRes: Dropped candidate', r.reason, r.url));
+
+    return results
+      .map((result, order) => ({ ...result, order }))
+      .filter(r => r.ok)
+      .sort((a, b) => (b.width * b.height - a.width * a.height) || (a.order - b.order));
+  }
+
+  global.HiResProbe = {
+    parseDimensions,
+    probe,
+    rank
+  };
+})(self);
@@ -0,0 +1,248 @@
+/**
+ * HiRes - Local Upscaler
+ * Runs a bundled ESRGAN model (UpscalerJS esrgan-slim) on the CPU with TensorFlow.js
+ * on its WASM backend. Nothing leaves the machine: the runtime and weights are
+ * vendored with the extension (see vendor/README.md).
+ */
+
+(function (global) {
+  'use strict';
+
+  const RUNTIME_DIR = 'vendor/tfjs/';
+  // Loaded in order - the layers API and the backend attach to core's tf global
+  const RUNTIME_SCRIPTS = ['tf-core.min.js', 'tf-layers.min.js', 'tf-backend-wasm.min.js'];
+
+  // One model per native scale factor
+  const MODELS = {
+    2: 'vendor/esrgan-slim/x2/model.json',
+    4: 'vendor/esrgan-slim/x4/model.json'
+  };
+
+  // The models were trained on 128px patches; the padding is cropped away to hide seams
+  const TILE_SIZE = 128;
+  const TILE_PADDING = 10;
+
+  // Largest output we are willing to allocate on a canvas
+  const MAX_OUTPUT_PIXELS = 100 * 1000 * 1000;
+
+  let runtimePromise = null;
+  const models = {};
+
+  function loadScript(path) {
+    return new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = chrome.runtime.getURL(path);
+      script.onload = resolve;
+      script.onerror = () => reject(new Error(`Local runtime missing from the package (${path})`));
+      document.head.appendChild(script);
+    });
+  }
+
+  /**
+   * Load TensorFlow.js from the extension package and start its WASM backend (once)
+   */
+  function loadRuntime() {
+    if (!runtimePromise) {
+      runtimePromise = (async () => {
+        for (const file of RUNTIME_SCRIPTS) {
+          await loadScript(RUNTIME_DIR + file);
+        }
+
+        const tf = global.tf;
+        tf.wasm.setWasmPaths(chrome.runtime.getURL(RUNTIME_DIR));
+        // Extension pages are not cross-origin isolated, so no SharedArrayBuffer threads
+        tf.env().set('WASM_HAS_MULTITHREAD_SUPPORT', false);
+        if (!await tf.setBackend('wasm')) {
+          throw new Error('Could not start the local WASM runtime');
+        }
+        return tf;
+      })();
+
+      runtimePromise.catch(() => { runtimePromise = null; });
+    }
+
+    return runtimePromise;
+  }
+
+  /**
+   * Get (or load) the model for a scale factor
+   */
+  function getModel(scale) {
+    const modelPath = MODELS[scale];
+    if (!modelPath) {
+      return Promise.reject(new Error(`Local upscaling supports ${Object.keys(MODELS).join('× / ')}× only`));
+    }
+
+    if (!models[scale]) {
+      models[scale] = (async () => {
+        const tf = await loadRuntime();
+        return tf.loadLayersModel(chrome.runtime.getURL(modelPath)).catch(error => {
+          throw new Error(`Could not load the local ${scale}× model (${error.message})`);
+        });
+      })();
+
+      // Don't cache failures - a retry starts clean
+      models[scale].catch(() => { delete models[scale]; });
+    }
+
+    return models[scale];
+  }
+
+  /**
+   * Convert RGBA pixels to an interleaved float32 RGB tensor (NHWC, 0..255)
+   */
+  function toTensorData(imageData) {
+    const { data, width, height } = imageData;
+    const pixels = width * height;
+    const out = new Float32Array(pixels * 3);
+
+    for (let i = 0; i < pixels; i++) {
+      out[i * 3] = data[i * 4];
+      out[i * 3 + 1] = data[i * 4 + 1];
+      out[i * 3 + 2] = data[i * 4 + 2];
+    }
+    return out;
+  }
+
+  /**
+   * Copy a region of an interleaved float32 RGB tensor into an opaque ImageData
+   */
+  function fromTensorData(tensor, tensorWidth, cropX, cropY, width, height) {
+    const imageData = new ImageData(width, height);
+    const out = imageData.data;
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const src = ((y + cropY) * tensorWidth + (x + cropX)) * 3;
+        const dst = (y * width + x) * 4;
+        out[dst] = Math.min(255, Math.max(0, Math.round(tensor[src])));
+        out[dst + 1] = Math.min(255, Math.max(0, Math.round(tensor[src + 1])));
+        out[dst + 2] = Math.min(255, Math.max(0, Math.round(tensor[src + 2])));
+        out[dst + 3] = 255;
+      }
+    }
+    return imageData;
+  }
+
+  /**
+   * Check whether any pixel is not fully opaque
+   */
+  function hasTransparency(ctx, width, height) {
+    const { data } = ctx.getImageData(0, 0, width, height);
+    for (let i = 3; i < data.length; i += 4) {
+      if (data[i] < 255) return true;
+    }
+    return false;
+  }
+
+  /**
+   * The model only produces RGB - carry the source alpha over with a smooth resample
+   */
+  function restoreAlpha(outputCtx, sourceCanvas, width, height) {
+    const mask = document.createElement('canvas');
+    mask.width = width;
+    mask.height = height;
+
+    const maskCtx = mask.getContext('2d');
+    maskCtx.imageSmoothingQuality = 'high';
+    maskCtx.drawImage(sourceCanvas, 0, 0, width, height);
+
+    const alpha = maskCtx.getImageData(0, 0, width, height).data;
+    const pixels = outputCtx.getImageData(0, 0, width, height);
+    for (let i = 3; i < alpha.length; i += 4) {
+      pixels.data[i] = alpha[i];
+    }
+    outputCtx.putImageData(pixels, 0, 0);
+  }
+
+  /**
+   * Upscale an image blob on-device
+   * @param {Blob} imageBlob - Source image
+   * @param {number} scale - 2 or 4
+   * @param {Function} [onProgress] - Called with (tilesDone, tilesTotal)
+   * @param {AbortSignal} [signal] - Checked between tiles
+   * @returns {Promise<{url: string, blob: Blob, isDemo: boolean}>}
+   */
+  async function upscale(imageBlob, scale, onProgress, signal) {
+    const model = await getModel(scale);
+    const tf = global.tf;
+
+    const bitmap = await createImageBitmap(imageBlob, { colorSpaceConversion: 'none' });
+    const { width, height } = bitmap;
+    const outWidth = width * scale;
+    const outHeight = height * scale;
+
+    if (outWidth * outHeight > MAX_OUTPUT_PIXELS) {
+      bitmap.close();
+      throw new Error(`Image too large for local ${scale}× upscaling (${width} × ${height})`);
+    }
+
+    const source = document.createElement('canvas');
+    source.width = width;
+    source.height = height;
+    const sourceCtx = source.getContext('2d', { willReadFrequently: true });
+    sourceCtx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+
+    const output = document.createElement('canvas');
+    output.width = outWidth;
+    output.height = outHeight;
+    const outputCtx = output.getContext('2d');
+
+    const cols = Math.ceil(width / TILE_SIZE);
+    const rows = Math.ceil(height / TILE_SIZE);
+    const total = cols * rows;
+    let done = 0;
+
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        signal?.throwIfAborted();
+
+        const x = col * TILE_SIZE;
+        const y = row * TILE_SIZE;
+        const w = Math.min(TILE_SIZE, width - x);
+        const h = Math.min(TILE_SIZE, height - y);
+
+        // Padded region fed to the model
+        const px = Math.max(0, x - TILE_PADDING);
+        const py = Math.max(0, y - TILE_PADDING);
+        const pw = Math.min(width, x + w + TILE_PADDING) - px;
+        const ph = Math.min(height, y + h + TILE_PADDING) - py;
+
+        const input = tf.tensor4d(toTensorData(sourceCtx.getImageData(px, py, pw, ph)), [1, ph, pw, 3]);
+        const result = model.predict(input);
+        const data = await result.data();
+        input.dispose();
+        result.dispose();
+
+        const tile = fromTensorData(
+          data, pw * scale,
+          (x - px) * scale, (y - py) * scale,
+          w * scale, h * scale
+        );
+        outputCtx.putImageData(tile, x * scale, y * scale);
+
+        done++;
+        onProgress?.(done, total);
+
+        // Let the page repaint between tiles
+        await new Promise(r => setTimeout(r, 0));
+      }
+    }
+
+    if (hasTransparency(sourceCtx, width, height)) {
+      restoreAlpha(outputCtx, source, outWidth, outHeight);
+    }
+
+    const blob = await new Promise((resolve, reject) => {
+      output.toBlob(b => b ? resolve(b) : reject(new Error('Failed to encode upscaled image')), 'image/png');
+    });
+
+    return { url: URL.createObjectURL(blob), blob, isDemo: false };
+  }
+
+  global.HiResLocalUpscaler = {
+    scales: Object.keys(MODELS).map(Number),
+    upscale
+  };
+})(self);
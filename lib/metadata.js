@@ -0,0 +1,472 @@
+/**
+ * HiRes - Image Metadata
+ * Reads the colour profile (ICC), EXIF and XMP from a source JPEG, PNG or WebP,
+ * and writes them into the upscaled file, so colours stay right and camera and
+ * copyright information stays attached. Nothing is re-encoded: segments and
+ * chunks are spliced into the file as it is.
+ *
+ * Only selected EXIF fields are carried over. Orientation and pixel dimensions
+ * describe the source pixels, not the upscale, and location stays private.
+ */
+
+(function (global) {
+  'use strict';
+
+  const EXIF_HEADER = 'Exif\0\0';
+  const XMP_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+  const ICC_HEADER = 'ICC_PROFILE\0';
+  const XMP_KEYWORD = 'XML:com.adobe.xmp';
+
+  // Largest payload of one JPEG segment, and of one ICC_PROFILE chunk inside it
+  const MAX_SEGMENT = 0xFFFF - 2;
+  const MAX_ICC_CHUNK = MAX_SEGMENT - ICC_HEADER.length - 2;
+
+  const EXIF_IFD_POINTER = 0x8769;
+  const ORIENTATION = 0x0112;
+
+  const KEPT_TAGS = {
+    // ImageDescription, Make, Model, DateTime, Artist, Copyright
+    ifd0: [0x010E, 0x010F, 0x0110, 0x0132, 0x013B, 0x8298],
+    // ExposureTime, FNumber, ISO, DateTimeOriginal, DateTimeDigitized, FocalLength, LensMake, LensModel
+    exif: [0x829A, 0x829D, 0x8827, 0x9003, 0x9004, 0x920A, 0xA433, 0xA434]
+  };
+
+  // Bytes per value of each TIFF field type
+  const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+  // WebP VP8X flags
+  const WEBP_ICC = 0x20;
+  const WEBP_ALPHA = 0x10;
+  const WEBP_EXIF = 0x08;
+  const WEBP_XMP = 0x04;
+
+  const ascii = (bytes, start, length) => String.fromCharCode(...bytes.subarray(start, start + length));
+  const startsWith = (bytes, start, text) => ascii(bytes, start, text.length) === text;
+  const u16be = (b, i) => (b[i] << 8) | b[i + 1];
+  const u32be = (b, i) => ((b[i] << 24) >>> 0) + ((b[i + 1] << 16) | (b[i + 2] << 8) | b[i + 3]);
+  const u16le = (b, i) => b[i] | (b[i + 1] << 8);
+  const u32le = (b, i) => (b[i] | (b[i + 1] << 8) | (b[i + 2] << 16) | (b[i + 3] << 24)) >>> 0;
+  const encodeText = (text) => new TextEncoder().encode(text);
+  const decodeText = (bytes) => new TextDecoder().decode(bytes);
+
+  function concat(parts) {
+    const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+      out.set(part, offset);
+      offset += part.length;
+    });
+    return out;
+  }
+
+  /**
+   * Run bytes through a (De)CompressionStream; PNG uses zlib, which is 'deflate' here
+   */
+  async function pipe(bytes, stream) {
+    return new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+  }
+
+  function detect(b) {
+    if (b[0] === 0xFF && b[1] === 0xD8) return 'jpeg';
+    if (b.length > 8 && startsWith(b, 1, 'PNG')) return 'png';
+    if (b.length > 12 && startsWith(b, 0, 'RIFF') && startsWith(b, 8, 'WEBP')) return 'webp';
+    return null;
+  }
+
+  // --- Containers ---
+
+  /**
+   * JPEG marker segments up to the image data: [{ marker, start, end, data }]
+   */
+  function jpegSegments(b) {
+    const segments = [];
+    let i = 2;
+    while (i + 4 <= b.length && b[i] === 0xFF) {
+      const marker = b[i + 1];
+      if (marker === 0xFF) { i++; continue; }
+      if (marker === 0xDA || marker === 0xD9) break;
+      if ((marker >= 0xD0 && marker <= 0xD7) || marker === 0x01) { i += 2; continue; }
+
+      const end = i + 2 + u16be(b, i + 2);
+      segments.push({ marker, start: i, end, data: b.subarray(i + 4, end) });
+      i = end;
+    }
+    return segments;
+  }
+
+  function jpegSegment(marker, payload) {
+    if (payload.length > MAX_SEGMENT) return null;
+    const length = payload.length + 2;
+    return concat([new Uint8Array([0xFF, marker, length >> 8, length & 0xFF]), payload]);
+  }
+
+  /**
+   * PNG chunks: [{ type, start, end, data }]
+   */
+  function pngChunks(b) {
+    const chunks = [];
+    let i = 8;
+    while (i + 12 <= b.length) {
+      const length = u32be(b, i);
+      const type = ascii(b, i + 4, 4);
+      chunks.push({ type, start: i, end: i + 12 + length, data: b.subarray(i + 8, i + 8 + length) });
+      if (type === 'IEND') break;
+      i += 12 + length;
+    }
+    return chunks;
+  }
+
+  let crcTable = null;
+  function crc32(bytes) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256).map((_, n) => {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        return c >>> 0;
+      });
+    }
+    let crc = 0xFFFFFFFF;
+    for (const byte of bytes) crc = crcTable[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  function pngChunk(type, data) {
+    const body = concat([encodeText(type), data]);
+    const out = new Uint8Array(body.length + 8);
+    const view = new DataView(out.buffer);
+    view.setUint32(0, data.length);
+    out.set(body, 4);
+    view.setUint32(body.length + 4, crc32(body));
+    return out;
+  }
+
+  /**
+   * WebP RIFF chunks: [{ fourcc, start, end, data }] (end includes the pad byte)
+   */
+  function webpChunks(b) {
+    const chunks = [];
+    let i = 12;
+    while (i + 8 <= b.length) {
+      const size = u32le(b, i + 4);
+      const end = i + 8 + size + (size & 1);
+      chunks.push({ fourcc: ascii(b, i, 4), start: i, end, data: b.subarray(i + 8, i + 8 + size) });
+      i = end;
+    }
+    return chunks;
+  }
+
+  function riffChunk(fourcc, data) {
+    const out = new Uint8Array(8 + data.length + (data.length & 1));
+    out.set(encodeText(fourcc));
+    new DataView(out.buffer).setUint32(4, data.length, true);
+    out.set(data, 8);
+    return out;
+  }
+
+  // --- EXIF (TIFF structure) ---
+
+  /**
+   * Entries of the IFD at `offset`, values as raw bytes in the file's byte order
+   */
+  function readIfd(tiff, little, offset) {
+    const view = new DataView(tiff.buffer, tiff.byteOffset, tiff.byteLength);
+    const entries = [];
+    if (!offset || offset + 2 > tiff.length) return entries;
+
+    const count = view.getUint16(offset, little);
+    for (let k = 0; k < count; k++) {
+      const at = offset + 2 + k * 12;
+      if (at + 12 > tiff.length) break;
+      const type = view.getUint16(at + 2, little);
+      const size = (TYPE_SIZES[type] || 0) * view.getUint32(at + 4, little);
+      const start = size <= 4 ? at + 8 : view.getUint32(at + 8, little);
+      if (!size || start + size > tiff.length) continue;
+
+      entries.push({
+        tag: view.getUint16(at, little),
+        type,
+        count: view.getUint32(at + 4, little),
+        value: tiff.slice(start, start + size)
+      });
+    }
+    return entries;
+  }
+
+  function parseTiff(tiff) {
+    const little = tiff[0] === 0x49;
+    const view = new DataView(tiff.buffer, tiff.byteOffset, tiff.byteLength);
+    const ifd0 = readIfd(tiff, little, tiff.length >= 8 ? view.getUint32(4, little) : 0);
+    const pointer = ifd0.find(entry => entry.tag === EXIF_IFD_POINTER);
+    const exif = pointer ? readIfd(tiff, little, new DataView(pointer.value.buffer).getUint32(0, little)) : [];
+    return { little, ifd0, exif };
+  }
+
+  function writeTiff(little, ifd0, exif) {
+    const main = exif.length ? [...ifd0, { tag: EXIF_IFD_POINTER, type: 4, count: 1, value: null }] : [...ifd0];
+    main.sort((a, b) => a.tag - b.tag);
+    const sub = [...exif].sort((a, b) => a.tag - b.tag);
+
+    const ifdSize = (entries) => 2 + entries.length * 12 + 4;
+    const exifOffset = 8 + ifdSize(main);
+    let dataOffset = exifOffset + (sub.length ? ifdSize(sub) : 0);
+    const dataSize = [...ifd0, ...exif].reduce((sum, entry) => {
+      return sum + (entry.value.length > 4 ? entry.value.length + (entry.value.length & 1) : 0);
+    }, 0);
+
+    const out = new Uint8Array(dataOffset + dataSize);
+    const view = new DataView(out.buffer);
+    out.set(little ? [0x49, 0x49, 0x2A, 0x00] : [0x4D, 0x4D, 0x00, 0x2A]);
+    view.setUint32(4, 8, little);
+
+    const writeIfd = (offset, entries) => {
+      view.setUint16(offset, entries.length, little);
+      entries.forEach((entry, k) => {
+        const at = offset + 2 + k * 12;
+        view.setUint16(at, entry.tag, little);
+        view.setUint16(at + 2, entry.type, little);
+        view.setUint32(at + 4, entry.count, little);
+        if (!entry.value) {
+          view.setUint32(at + 8, exifOffset, little);
+        } else if (entry.value.length <= 4) {
+          out.set(entry.value, at + 8);
+        } else {
+          view.setUint32(at + 8, dataOffset, little);
+          out.set(entry.value, dataOffset);
+          dataOffset += entry.value.length + (entry.value.length & 1);
+        }
+      });
+      view.setUint32(offset + 2 + entries.length * 12, 0, little);
+    };
+
+    writeIfd(8, main);
+    if (sub.length) writeIfd(exifOffset, sub);
+    return out;
+  }
+
+  /**
+   * The EXIF orientation (1-8), 1 when missing
+   */
+  function readOrientation(tiff) {
+    const { little, ifd0 } = parseTiff(tiff);
+    const entry = ifd0.find(e => e.tag === ORIENTATION);
+    return entry ? new DataView(entry.value.buffer).getUint16(0, little) : 1;
+  }
+
+  /**
+   * A new EXIF block with only the kept fields, or null if none are present
+   */
+  function selectExif(tiff) {
+    const { little, ifd0, exif } = parseTiff(tiff);
+    const kept0 = ifd0.filter(entry => KEPT_TAGS.ifd0.includes(entry.tag));
+    const keptExif = exif.filter(entry => KEPT_TAGS.exif.includes(entry.tag));
+    return kept0.length || keptExif.length ? writeTiff(little, kept0, keptExif) : null;
+  }
+
+  /**
+   * XMP without the properties that describe the source pixels
+   */
+  function selectXmp(xmp) {
+    const stale = '(?:tiff:(?:Orientation|ImageWidth|ImageLength)|exif:Pixel[XY]Dimension)';
+    return xmp
+      .replace(new RegExp(`\\s${stale}="[^"]*"`, 'g'), '')
+      .replace(new RegExp(`<(${stale})>[^<]*</\\1>`, 'g'), '');
+  }
+
+  // --- Reading ---
+
+  function readJpeg(b) {
+    const found = {};
+    const icc = [];
+    jpegSegments(b).forEach(({ marker, data }) => {
+      if (marker === 0xE1 && startsWith(data, 0, EXIF_HEADER)) found.exif = data.slice(EXIF_HEADER.length);
+      if (marker === 0xE1 && startsWith(data, 0, XMP_HEADER)) found.xmp = decodeText(data.subarray(XMP_HEADER.length));
+      // Profiles over 64 KB span several segments, numbered from 1
+      if (marker === 0xE2 && startsWith(data, 0, ICC_HEADER)) icc[data[ICC_HEADER.length]] = data.subarray(ICC_HEADER.length + 2);
+    });
+    if (icc.length) found.icc = concat(icc.filter(Boolean));
+    return found;
+  }
+
+  async function readPng(b) {
+    const found = {};
+    for (const { type, data } of pngChunks(b)) {
+      if (type === 'iCCP') {
+        // Profile name, NUL, compression method, zlib data
+        found.icc = await pipe(data.subarray(data.indexOf(0) + 2), new DecompressionStream('deflate'));
+      } else if (type === 'eXIf') {
+        found.exif = data.slice();
+      } else if (type === 'iTXt' && startsWith(data, 0, `${XMP_KEYWORD}\0`)) {
+        // Keyword, NUL, compressed flag, method, language, NUL, translated keyword, NUL, text
+        const compressed = data[XMP_KEYWORD.length + 1];
+        let i = data.indexOf(0, XMP_KEYWORD.length + 3) + 1;
+        i = data.indexOf(0, i) + 1;
+        const text = data.subarray(i);
+        found.xmp = decodeText(compressed ? await pipe(text, new DecompressionStream('deflate')) : text);
+      }
+    }
+    return found;
+  }
+
+  function readWebp(b) {
+    const found = {};
+    webpChunks(b).forEach(({ fourcc, data }) => {
+      if (fourcc === 'ICCP') found.icc = data.slice();
+      // Some writers keep the JPEG-style header in front of the TIFF data
+      if (fourcc === 'EXIF') found.exif = data.slice(startsWith(data, 0, EXIF_HEADER) ? EXIF_HEADER.length : 0);
+      if (fourcc === 'XMP ') found.xmp = decodeText(data);
+    });
+    return found;
+  }
+
+  /**
+   * The metadata worth carrying over from a source image
+   * @param {Blob} blob - The source file, as fetched
+   * @returns {Promise<{icc: Uint8Array|null, exif: Uint8Array|null, xmp: string|null, orientation: number}|null>}
+   *          null for formats without readable metadata
+   */
+  async function read(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const readers = { jpeg: readJpeg, png: readPng, webp: readWebp };
+    const format = detect(bytes);
+    if (!format) return null;
+
+    const found = await readers[format](bytes);
+    return {
+      icc: found.icc?.length ? found.icc : null,
+      exif: found.exif ? selectExif(found.exif) : null,
+      xmp: found.xmp ? selectXmp(found.xmp) : null,
+      orientation: found.exif ? readOrientation(found.exif) : 1
+    };
+  }
+
+  // --- Writing ---
+
+  /**
+   * APP segments go after SOI and the JFIF header, which must come first
+   */
+  function embedJpeg(b, { icc, exif, xmp }) {
+    const segments = jpegSegments(b);
+    const has = readJpeg(b);
+    const inserts = [];
+
+    if (exif && !has.exif) inserts.push(jpegSegment(0xE1, concat([encodeText(EXIF_HEADER), exif])));
+    if (xmp && !has.xmp) inserts.push(jpegSegment(0xE1, concat([encodeText(XMP_HEADER), encodeText(xmp)])));
+    if (icc && !has.icc) {
+      const count = Math.ceil(icc.length / MAX_ICC_CHUNK);
+      for (let n = 0; n < count; n++) {
+        const chunk = icc.subarray(n * MAX_ICC_CHUNK, (n + 1) * MAX_ICC_CHUNK);
+        inserts.push(jpegSegment(0xE2, concat([encodeText(ICC_HEADER), new Uint8Array([n + 1, count]), chunk])));
+      }
+    }
+
+    const parts = inserts.filter(Boolean);
+    if (!parts.length) return null;
+    const at = segments[0]?.marker === 0xE0 ? segments[0].end : 2;
+    return concat([b.subarray(0, at), ...parts, b.subarray(at)]);
+  }
+
+  /**
+   * Metadata chunks go straight after IHDR, ahead of the image data
+   */
+  async function embedPng(b, { icc, exif, xmp }) {
+    const chunks = pngChunks(b);
+    const types = new Set(chunks.map(chunk => chunk.type));
+    const hasXmp = chunks.some(chunk => chunk.type === 'iTXt' && startsWith(chunk.data, 0, `${XMP_KEYWORD}\0`));
+    const inserts = [];
+
+    // An sRGB chunk already says how to read the pixels
+    if (icc && !types.has('iCCP') && !types.has('sRGB')) {
+      const compressed = await pipe(icc, new CompressionStream('deflate'));
+      inserts.push(pngChunk('iCCP', concat([encodeText('ICC Profile'), new Uint8Array([0, 0]), compressed])));
+    }
+    if (exif && !types.has('eXIf')) inserts.push(pngChunk('eXIf', exif));
+    if (xmp && !hasXmp) inserts.push(pngChunk('iTXt', concat([encodeText(XMP_KEYWORD), new Uint8Array(5), encodeText(xmp)])));
+
+    if (!inserts.length || chunks[0]?.type !== 'IHDR') return null;
+    return concat([b.subarray(0, chunks[0].end), ...inserts, b.subarray(chunks[0].end)]);
+  }
+
+  /**
+   * Simple (VP8/VP8L) files become extended ones: VP8X, ICCP, image, EXIF, XMP
+   */
+  function embedWebp(b, { icc, exif, xmp }) {
+    const chunks = webpChunks(b);
+    const has = new Set(chunks.map(chunk => chunk.fourcc));
+    const add = {
+      icc: icc && !has.has('ICCP'),
+      exif: exif && !has.has('EXIF'),
+      xmp: xmp && !has.has('XMP ')
+    };
+    if (!add.icc && !add.exif && !add.xmp) return null;
+
+    let header = chunks.find(chunk => chunk.fourcc === 'VP8X')?.data.slice();
+    if (!header) {
+      const image = chunks.find(chunk => chunk.fourcc === 'VP8 ' || chunk.fourcc === 'VP8L');
+      if (!image) return null;
+      const d = image.data;
+      const lossless = image.fourcc === 'VP8L';
+      const width = lossless ? 1 + (((d[2] & 0x3F) << 8) | d[1]) : u16le(d, 6) & 0x3FFF;
+      const height = lossless ? 1 + (((d[4] & 0x0F) << 10) | (d[3] << 2) | ((d[2] & 0xC0) >> 6)) : u16le(d, 8) & 0x3FFF;
+
+      header = new Uint8Array(10);
+      header[0] = lossless && (d[4] & 0x10) ? WEBP_ALPHA : 0;
+      [width - 1, height - 1].forEach((value, k) => {
+        header[4 + k * 3] = value & 0xFF;
+        header[5 + k * 3] = (value >> 8) & 0xFF;
+        header[6 + k * 3] = (value >> 16) & 0xFF;
+      });
+    }
+    if (add.icc) header[0] |= WEBP_ICC;
+    if (add.exif) header[0] |= WEBP_EXIF;
+    if (add.xmp) header[0] |= WEBP_XMP;
+
+    const body = [
+      encodeText('WEBP'),
+      riffChunk('VP8X', header),
+      ...(add.icc ? [riffChunk('ICCP', icc)] : []),
+      ...chunks.filter(chunk => chunk.fourcc !== 'VP8X').map(chunk => b.subarray(chunk.start, chunk.end)),
+      ...(add.exif ? [riffChunk('EXIF', exif)] : []),
+      ...(add.xmp ? [riffChunk('XMP ', encodeText(xmp))] : [])
+    ];
+    const riff = concat([encodeText('RIFF'), new Uint8Array(4), ...body]);
+    new DataView(riff.buffer).setUint32(4, riff.length - 8, true);
+    return riff;
+  }
+
+  /**
+   * Write metadata into an image, keeping whatever the image already has
+   * (a provider's own colour profile describes its own pixels)
+   * @param {Blob} blob - JPEG, PNG or WebP; other formats come back unchanged
+   * @param {Object} metadata - From read()
+   * @returns {Promise<Blob>}
+   */
+  async function embed(blob, metadata) {
+    if (!metadata || (!metadata.icc && !metadata.exif && !metadata.xmp)) return blob;
+
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const writers = { jpeg: embedJpeg, png: embedPng, webp: embedWebp };
+    const format = detect(bytes);
+    if (!format) return blob;
+
+    const output = await writers[format](bytes, metadata);
+    return output ? new Blob([output], { type: blob.type || `image/${format}` }) : blob;
+  }
+
+  /**
+   * Turn the pixels upright per the EXIF orientation, as a lossless PNG, so providers
+   * get what viewers show. Colour values are left as they are, in the source's profile.
+   */
+  async function applyOrientation(blob) {
+    const bitmap = await createImageBitmap(blob, { imageOrientation: 'from-image', colorSpaceConversion: 'none' });
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0);
+    bitmap.close();
+    return canvas.convertToBlob({ type: 'image/png' });
+  }
+
+  global.HiResMetadata = {
+    read,
+    embed,
+    applyOrientation
+  };
+})(self);
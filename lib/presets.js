@@ -0,0 +1,153 @@
+/**
+ * HiRes - Enhancement Presets
+ * Named, user-editable settings for Claid's operations pipeline: upscale model,
+ * decompression, polish, sharpness, colour adjustments and background.
+ * A preset compiles to the `operations` object of a Claid request.
+ */
+
+(function (global) {
+  'use strict';
+
+  // Claid restoration models
+  const UPSCALE_MODES = {
+    smart_enhance: 'Smart enhance (photos, products)',
+    smart_resize: 'Smart resize (already sharp images)',
+    faces: 'Faces (portraits)',
+    digital_art: 'Digital art (illustrations, graphics)'
+  };
+
+  // JPEG artifact and noise removal strength; 'off' leaves it out of the request
+  const DECOMPRESS_LEVELS = ['off', 'auto', 'moderate', 'strong'];
+
+  // Claid adjustments and their ranges
+  const ADJUSTMENTS = {
+    sharpness: { min: 0, max: 100 },
+    hdr: { min: 0, max: 100 },
+    exposure: { min: -100, max: 100 },
+    saturation: { min: -100, max: 100 },
+    contrast: { min: -100, max: 100 }
+  };
+
+  // 'keep' | 'remove' (transparent) | 'color' (replaced with backgroundColor)
+  const BACKGROUNDS = ['keep', 'remove', 'color'];
+
+  const BLANK = {
+    upscale: 'smart_enhance',
+    decompress: 'off',
+    polish: false,
+    sharpness: 0,
+    hdr: 0,
+    exposure: 0,
+    saturation: 0,
+    contrast: 0,
+    background: 'keep',
+    backgroundColor: '#ffffff'
+  };
+
+  // Used until the user edits the list; 'standard' matches the original single request
+  const BUILT_IN = [
+    { ...BLANK, id: 'standard', name: 'Standard' },
+    { ...BLANK, id: 'product', name: 'Product photo', decompress: 'auto', sharpness: 25, hdr: 10 },
+    { ...BLANK, id: 'cutout', name: 'Product cutout', decompress: 'auto', sharpness: 25, background: 'color' },
+    { ...BLANK, id: 'illustration', name: 'Illustration', upscale: 'digital_art', decompress: 'moderate' },
+    { ...BLANK, id: 'portrait', name: 'Portrait', upscale: 'faces', decompress: 'auto', polish: true }
+  ];
+
+  const clamp = (value, { min, max }) => Math.min(max, Math.max(min, Math.round(Number(value) || 0)));
+
+  /**
+   * Fill in and clamp every field, so stored or hand-edited presets are always valid
+   */
+  function normalize(preset) {
+    const normalized = { ...BLANK, ...preset };
+    if (!UPSCALE_MODES[normalized.upscale]) normalized.upscale = BLANK.upscale;
+    if (!DECOMPRESS_LEVELS.includes(normalized.decompress)) normalized.decompress = BLANK.decompress;
+    if (!BACKGROUNDS.includes(normalized.background)) normalized.background = BLANK.background;
+    if (!/^#[0-9a-f]{6}$/i.test(normalized.backgroundColor)) normalized.backgroundColor = BLANK.backgroundColor;
+    normalized.polish = Boolean(normalized.polish);
+    Object.entries(ADJUSTMENTS).forEach(([key, range]) => {
+      normalized[key] = clamp(normalized[key], range);
+    });
+    normalized.name = String(normalized.name || normalized.id).trim();
+    return normalized;
+  }
+
+  /**
+   * The preset list from settings, or the built-ins if the user has none
+   */
+  function list(settings) {
+    const items = settings.presets.items?.length ? settings.presets.items : BUILT_IN;
+    return items.map(normalize);
+  }
+
+  /**
+   * A preset by id, falling back to the default one and then the first
+   */
+  function get(settings, id) {
+    const presets = list(settings);
+    return presets.find(p => p.id === id) ||
+      presets.find(p => p.id === settings.presets.selected) ||
+      presets[0];
+  }
+
+  /**
+   * Claid `operations` for a preset at a scale factor
+   */
+  function toClaidOperations(preset, scale) {
+    const p = normalize(preset);
+
+    const restorations = { upscale: p.upscale };
+    if (p.decompress !== 'off') restorations.decompress = p.decompress;
+    if (p.polish) restorations.polish = true;
+
+    // Percentage resize: 2x = 200%, 4x = 400%
+    const operations = {
+      restorations,
+      resizing: { width: `${scale * 100}%`, height: `${scale * 100}%`, fit: 'bounds' }
+    };
+
+    const adjustments = {};
+    Object.keys(ADJUSTMENTS).forEach(key => {
+      if (p[key]) adjustments[key] = p[key];
+    });
+    if (Object.keys(adjustments).length) operations.adjustments = adjustments;
+
+    if (p.background === 'remove') {
+      operations.background = { remove: true };
+    } else if (p.background === 'color') {
+      operations.background = { remove: true, color: p.backgroundColor };
+    }
+
+    return operations;
+  }
+
+  /**
+   * A short description of what a preset changes, for tooltips and notes
+   */
+  function describe(preset) {
+    const p = normalize(preset);
+    const parts = [UPSCALE_MODES[p.upscale].split(' (')[0]];
+    if (p.decompress !== 'off') parts.push(`decompress ${p.decompress}`);
+    if (p.polish) parts.push('polish');
+    Object.keys(ADJUSTMENTS).forEach(key => {
+      if (p[key]) parts.push(`${key} ${p[key] > 0 && ADJUSTMENTS[key].min < 0 ? '+' : ''}${p[key]}`);
+    });
+    if (p.background === 'remove') parts.push('background removed');
+    if (p.background === 'color') parts.push(`background ${p.backgroundColor}`);
+    return parts.join(' · ');
+  }
+
+  global.HiResPresets = {
+    UPSCALE_MODES,
+    DECOMPRESS_LEVELS,
+    ADJUSTMENTS,
+    BACKGROUNDS,
+    BLANK,
+    BUILT_IN,
+    normalize,
+    list,
+    get,
+    toClaidOperations,
+    describe
+  };
+})(self);
@@ -0,0 +1,719 @@
+/**
+ * HiRes - Upscaling Providers
+ * Adapter registry plus the request lifecycle every provider shares:
+ * input selection, error mapping, timeouts, retries, polling and output normalization.
+ */
+
+(function (global) {
+  'use strict';
+
+  const DEFAULT_TIMEOUT = 60000;
+  const MAX_RETRIES = 2;
+  const RETRY_BASE_DELAY = 800;
+  // Longest wait honoured from a Retry-After header
+  const MAX_RETRY_DELAY = 30000;
+  const POLL_INTERVAL = 1000;
+  const POLL_TIMEOUT = 180000;
+
+  const adapters = {};
+
+  /**
+   * Register a provider adapter
+   *
+   * Adapter shape:
+   *   id, label, site     - identity, shown in errors and settings
+   *   scales              - supported scale factors, e.g. [2, 4]
+   *   maxInputPixels      - largest accepted source (width × height), or null
+   *   maxOutputPixels     - largest result it can produce, or null (larger jobs are tiled)
+   *   accepts             - input kinds in order of preference: 'blob', 'url' and/or
+   *                         'dataUrl' (the blob sent as a data: URL where a URL is expected)
+   *                         (or a function of the call options returning that list)
+   *   mode                - 'sync' (result in the response) or 'polled'
+   *   requiresKey         - whether an API key must be configured
+   *   pricing             - rough cost of one call for usage estimates: { unit, perImage }, or null if free
+   *   timeout             - optional; ms a job may take by default (the request, or all polling)
+   *   presets             - whether request() applies an enhancement preset (lib/presets.js)
+   *   auth(key)           - auth headers, reused for polling
+   *   request(ctx)        - builds { url, init } for the upscale call
+   *   output(result)      - optional; extracts the output URL (defaults to normalizeOutput)
+   *   poll                - for polled adapters: { url, isDone, isFailed, error, status, cancel }
+   *                         (status and cancel optional: progress text, and the URL that stops the job)
+   *   run(ctx)            - optional; replaces the HTTP lifecycle entirely (on-device models)
+   *   validate(options)   - optional; cheap credential check (defaults to a tiny test upscale)
+   *   outOfCredits(status, body)
+   *                       - whether a failed response means the balance is used up
+   *                         (defaults to HTTP 402; adapters add their documented error shapes)
+   */
+  function register(adapter) {
+    adapters[adapter.id] = {
+      accepts: ['url'],
+      mode: 'sync',
+      requiresKey: true,
+      maxInputPixels: null,
+      maxOutputPixels: null,
+      pricing: null,
+      presets: false,
+      auth: () => ({}),
+      outOfCredits: status => status === 402,
+      ...adapter
+    };
+  }
+
+  function get(id) {
+    return adapters[id] || null;
+  }
+
+  function list() {
+    return Object.values(adapters);
+  }
+
+  /**
+   * Wait ms, rejecting with the signal's reason as soon as it aborts
+   */
+  function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * How long a job may take when the user hasn't set a limit
+   */
+  function defaultTimeout(adapter) {
+    if (adapter.timeout) return adapter.timeout;
+    return adapter.mode === 'polled' ? adapter.poll.timeout || POLL_TIMEOUT : DEFAULT_TIMEOUT;
+  }
+
+  /**
+   * Pull a human-readable message out of any provider's error body
+   */
+  function extractMessage(body) {
+    if (!body || typeof body !== 'object') return typeof body === 'string' ? body : '';
+    if (typeof body.error === 'string') return body.error;
+    return body.error?.message ||
+           body.error?.detail ||
+           body.err ||
+           (typeof body.detail === 'string' ? body.detail : '') ||
+           body.message ||
+           '';
+  }
+
+  /**
+   * Map an HTTP failure to a user-facing error. Marks transient failures as retryable.
+   */
+  function mapError(adapter, status, body) {
+    const message = extractMessage(body);
+    // Only what the provider says outright - a message mentioning a per-minute
+    // "quota" is a rate limit, and 429s stay retryable
+    const outOfCredits = adapter.outOfCredits(status, body);
+    let error;
+
+    if (outOfCredits) {
+      error = new Error(`Out of credits! Visit ${adapter.site} to add more.`);
+    } else if (status === 401 || status === 403) {
+      error = new Error(`Invalid API key. Check your ${adapter.label} key.`);
+    } else if (status === 429) {
+      error = new Error(`${adapter.label} rate limit reached. Try again shortly.`);
+    } else {
+      error = new Error(message || `${adapter.label} error (${status})`);
+    }
+
+    error.status = status;
+    // An exhausted balance won't clear by waiting
+    error.retryable = !outOfCredits && (status === 429 || status >= 500);
+    return error;
+  }
+
+  /**
+   * Find the output image URL in the response shapes providers use
+   */
+  function normalizeOutput(result) {
+    if (!result || typeof result !== 'object') return null;
+
+    const output = result.output;
+    const candidates = [
+      result.data?.output?.tmp_url,
+      result.data?.output?.url,
+      output?.tmp_url,
+      output?.url,
+      typeof output === 'string' ? output : null,
+      Array.isArray(output) ? output[0] : null,
+      result.output_url,
+      result.image?.url,
+      result.images?.[0]?.url,
+      result.tmp_url,
+      result.url
+    ];
+
+    return candidates.find(url => typeof url === 'string' && url.length > 0) || null;
+  }
+
+  /**
+   * Delay asked for by a 429/503 Retry-After header (seconds or an HTTP date), in ms
+   */
+  function retryAfter(response) {
+    const header = response.headers.get('Retry-After');
+    if (!header) return 0;
+    const ms = /^\d+(\.\d+)?$/.test(header.trim()) ? parseFloat(header) * 1000 : Date.parse(header) - Date.now();
+    return Number.isFinite(ms) ? Math.min(MAX_RETRY_DELAY, Math.max(0, ms)) : 0;
+  }
+
+  /**
+   * fetch() with a timeout, retrying network errors, 429 and 5xx with exponential backoff
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request and any pending retry
+   * @param {number} [options.timeout] - ms per attempt
+   * @param {number} [options.retries] - Attempts after the first
+   * @param {Function} [options.onProgress] - Told about each retry
+   */
+  async function fetchWithRetry(adapter, url, init, { signal, timeout = DEFAULT_TIMEOUT, retries = MAX_RETRIES, onProgress } = {}) {
+    let lastError;
+    let delay = 0;
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (attempt > 0) {
+        delay = delay || RETRY_BASE_DELAY * 2 ** (attempt - 1);
+        onProgress?.(`${lastError.message} · retrying in ${Math.ceil(delay / 1000)}s (${attempt} of ${retries})`);
+        await sleep(delay, signal);
+      }
+      signal?.throwIfAborted();
+
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeout);
+      const cancel = () => controller.abort();
+      signal?.addEventListener('abort', cancel);
+
+      try {
+        const response = await fetch(url, { ...init, signal: controller.signal });
+        if (response.status === 429 || response.status >= 500) {
+          delay = retryAfter(response);
+          lastError = mapError(adapter, response.status, await readBody(response));
+          if (lastError.retryable) continue;
+          break;
+        }
+        return response;
+      } catch (error) {
+        if (signal?.aborted) throw signal.reason;
+        delay = 0;
+        lastError = error.name === 'AbortError'
+          ? new Error(`${adapter.label} timed out after ${Math.round(timeout / 1000)}s`)
+          : new Error(`Could not reach ${adapter.label} (${error.message})`);
+      } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', cancel);
+      }
+    }
+
+    throw lastError;
+  }
+
+  async function readBody(response) {
+    const text = await response.text().catch(() => '');
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text;
+    }
+  }
+
+  /**
+   * Make a provider call and return its parsed JSON, mapping any failure
+   */
+  async function requestJson(adapter, url, init, options) {
+    const response = await fetchWithRetry(adapter, url, init, options);
+    const body = await readBody(response);
+
+    if (!response.ok || (body && typeof body === 'object' && (body.error || body.err))) {
+      throw mapError(adapter, response.status, body);
+    }
+    if (!body || typeof body !== 'object') {
+      throw new Error(`${adapter.label} returned an unreadable response`);
+    }
+    return body;
+  }
+
+  /**
+   * Poll a queued job until it finishes, reporting its state. A job that is
+   * cancelled or runs out of time is stopped at the provider where it allows that.
+   */
+  async function pollUntilDone(adapter, first, { key, signal, timeout, retries, onProgress }) {
+    const statusUrl = adapter.poll.url(first);
+    if (!statusUrl && !adapter.poll.isDone(first)) {
+      throw new Error(`${adapter.label} did not return a status URL`);
+    }
+
+    const started = Date.now();
+    const deadline = started + (timeout || defaultTimeout(adapter));
+    let result = first;
+
+    const stopRemote = () => {
+      const cancelUrl = adapter.poll.cancel?.(result);
+      if (!cancelUrl) return;
+      fetch(cancelUrl, { method: 'POST', headers: adapter.auth(key) })
+        .catch(error => console.warn(`${adapter.label}: could not cancel the job`, error));
+    };
+
+    try {
+      while (!adapter.poll.isDone(result)) {
+        if (adapter.poll.isFailed(result)) {
+          throw new Error(adapter.poll.error?.(result) || 'Upscaling failed');
+        }
+        if (Date.now() > deadline) {
+          stopRemote();
+          throw new Error(`${adapter.label} did not finish within ${Math.round((deadline - started) / 1000)}s`);
+        }
+
+        const state = adapter.poll.status?.(result) || 'waiting';
+        onProgress?.(`${adapter.label}: ${state} · ${Math.round((Date.now() - started) / 1000)}s`);
+
+        await sleep(POLL_INTERVAL, signal);
+        result = await requestJson(adapter, statusUrl, { headers: adapter.auth(key) }, { signal, retries, onProgress });
+      }
+    } catch (error) {
+      if (signal?.aborted) stopRemote();
+      throw error;
+    }
+
+    return result;
+  }
+
+  /**
+   * Choose the input kind to send and resolve it. Falls back to the next
+   * accepted kind when the preferred one can't be produced (e.g. CORS on blob conversion).
+   */
+  async function resolveInput(adapter, ctx) {
+    const accepts = typeof adapter.accepts === 'function' ? adapter.accepts(ctx) : adapter.accepts;
+    let lastError;
+
+    for (const kind of accepts) {
+      if (kind === 'url') {
+        if (ctx.imageUrl && /^https?:/.test(ctx.imageUrl)) {
+          return { input: 'url' };
+        }
+        lastError = new Error(`${adapter.label} needs a publicly reachable image URL`);
+        continue;
+      }
+
+      try {
+        const blob = ctx.blob || await ctx.getBlob();
+        if (kind === 'dataUrl') {
+          return { input: 'url', imageUrl: await blobToDataUrl(blob) };
+        }
+        return { input: 'blob', blob };
+      } catch (error) {
+        console.warn(`${adapter.label}: blob conversion failed, trying next input`, error);
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Upscale through a registered provider
+   * @param {string} id - Provider id
+   * @param {Object} options
+   * @param {string} options.imageUrl - Source URL
+   * @param {Function} options.getBlob - Lazily produces the source as a Blob
+   * @param {Blob} [options.blob] - The source itself, when already in memory (e.g. a tile)
+   * @param {number} options.scale - Scale factor
+   * @param {string} [options.key] - API key
+   * @param {number} [options.width] - Source width, for input limits
+   * @param {number} [options.height] - Source height, for input limits
+   * @param {Object} [options.endpoint] - Custom endpoint configuration (custom provider only)
+   * @param {Function} [options.onProgress] - Receives short status strings
+   * @param {AbortSignal} [options.signal] - Cancels the job; it then rejects with the signal's reason
+   * @param {number} [options.timeout] - ms the job may take, instead of the provider's default
+   * @param {number} [options.retries] - Retries for rate limits, 5xx and network errors
+   * @param {Object} [options.preset] - Enhancement preset, for adapters with `presets`
+   * @returns {Promise<{url: string, provider: string, isDemo: boolean}>}
+   */
+  async function upscale(id, options) {
+    const adapter = get(id);
+    if (!adapter) {
+      throw new Error(`Unknown upscaling provider "${id}". Reconfigure the API.`);
+    }
+    if (!adapter.scales.includes(options.scale)) {
+      throw new Error(`${adapter.label} supports ${adapter.scales.join('× / ')}× only`);
+    }
+    if (adapter.requiresKey && !options.key) {
+      throw new Error(`No API key configured for ${adapter.label}.`);
+    }
+    if (adapter.maxInputPixels && options.width * options.height > adapter.maxInputPixels) {
+      const limit = (adapter.maxInputPixels / 1e6).toFixed(0);
+      throw new Error(`Image exceeds ${adapter.label}'s ${limit} MP input limit`);
+    }
+
+    options.signal?.throwIfAborted();
+
+    const ctx = { ...options };
+    Object.assign(ctx, await resolveInput(adapter, ctx));
+    ctx.signal?.throwIfAborted();
+
+    if (adapter.run) {
+      const result = await adapter.run(ctx);
+      return { isDemo: false, provider: adapter.id, ...result };
+    }
+
+    const { url, init } = adapter.request(ctx);
+    const { signal, retries, onProgress } = ctx;
+    onProgress?.(`Sending to ${adapter.label}...`);
+
+    let result;
+    if (adapter.mode === 'polled') {
+      result = await requestJson(adapter, url, init, { signal, retries, onProgress });
+      onProgress?.(`Queued at ${adapter.label}...`);
+      result = await pollUntilDone(adapter, result, ctx);
+    } else {
+      onProgress?.(`Waiting for ${adapter.label}...`);
+      result = await requestJson(adapter, url, init, { signal, retries, onProgress, timeout: ctx.timeout || defaultTimeout(adapter) });
+    }
+
+    const outputUrl = adapter.output ? adapter.output(result) : normalizeOutput(result);
+    if (!outputUrl) {
+      console.error(`${adapter.label}: unexpected response structure`, result);
+      throw new Error(`Unexpected ${adapter.label} response format`);
+    }
+
+    return { url: outputUrl, provider: adapter.id, isDemo: false };
+  }
+
+  /**
+   * A 16×16 grey PNG, small enough to cost next to nothing
+   */
+  async function tinyImage() {
+    const canvas = new OffscreenCanvas(16, 16);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#808080';
+    ctx.fillRect(0, 0, 16, 16);
+    return canvas.convertToBlob({ type: 'image/png' });
+  }
+
+  /**
+   * Check that a provider is reachable with the given credentials. Throws on failure.
+   * @param {string} id - Provider id
+   * @param {Object} options - { key, endpoint }
+   */
+  async function validate(id, options) {
+    const adapter = get(id);
+    if (!adapter) {
+      throw new Error(`Unknown upscaling provider "${id}"`);
+    }
+    if (adapter.requiresKey && !options.key) {
+      throw new Error(`Enter a ${adapter.label} key first.`);
+    }
+    if (adapter.validate) {
+      return adapter.validate(options);
+    }
+
+    const blob = await tinyImage();
+    await upscale(id, {
+      ...options,
+      imageUrl: null,
+      blob,
+      getBlob: async () => blob,
+      scale: adapter.scales[0],
+      width: 16,
+      height: 16
+    });
+  }
+
+  // --- Built-in adapters ---
+
+  /**
+   * Claid.ai (Recommended for fidelity)
+   * Best for: photos, products, faces - preserves textures without hallucinations.
+   * Prefers multipart upload since Claid doesn't accept base64 in JSON input.
+   * The enhancement preset, if any, supplies the whole operations pipeline.
+   */
+  register({
+    id: 'claid',
+    label: 'Claid.ai',
+    site: 'claid.ai',
+    scales: [2, 4],
+    pricing: { unit: 'credits', perImage: 1 },
+    maxInputPixels: 25 * 1000 * 1000,
+    accepts: ['blob', 'url'],
+    presets: true,
+    auth: key => ({ 'Authorization': `Bearer ${key}` }),
+    request({ input, imageUrl, blob, scale, key, preset }) {
+      // Percentage resize: 2x = 200%, 4x = 400%
+      const scalePercent = `${scale * 100}%`;
+      const operationsData = {
+        operations: preset && global.HiResPresets ? global.HiResPresets.toClaidOperations(preset, scale) : {
+          restorations: {
+            upscale: 'smart_enhance'
+          },
+          resizing: {
+            width: scalePercent,
+            height: scalePercent,
+            fit: 'bounds'
+          }
+        },
+        output: {
+          format: 'png'
+        }
+      };
+
+      if (input === 'blob') {
+        const formData = new FormData();
+        formData.append('file', blob, 'image.png');
+        formData.append('data', JSON.stringify(operationsData));
+        return {
+          url: 'https://api.claid.ai/v1/image/edit/upload',
+          init: { method: 'POST', headers: this.auth(key), body: formData }
+        };
+      }
+
+      return {
+        url: 'https://api.claid.ai/v1/image/edit',
+        init: {
+          method: 'POST',
+          headers: { ...this.auth(key), 'Content-Type': 'application/json' },
+          body: JSON.stringify({ input: imageUrl, ...operationsData })
+        }
+      };
+    }
+  });
+
+  /**
+   * Replicate (Real-ESRGAN) - queued prediction, polled until done
+   */
+  register({
+    id: 'replicate',
+    label: 'Replicate',
+    site: 'replicate.com',
+    scales: [2, 4],
+    pricing: { unit: 'USD', perImage: 0.0025 },
+    // Data URIs cover tiles and sources that aren't publicly reachable
+    accepts: ['url', 'dataUrl'],
+    mode: 'polled',
+    auth: key => ({ 'Authorization': `Token ${key}` }),
+    request({ imageUrl, scale, key }) {
+      return {
+        url: 'https://api.replicate.com/v1/predictions',
+        init: {
+          method: 'POST',
+          headers: { ...this.auth(key), 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            version: 'nightmareai/real-esrgan:42fed1c4974146d4d2414e2be2c5277c7fcf05fcc3a73abf41610695738c1d7b',
+            input: { image: imageUrl, scale: scale }
+          })
+        }
+      };
+    },
+    validate({ key }) {
+      // Account lookup is free, unlike a prediction
+      return requestJson(this, 'https://api.replicate.com/v1/account', { headers: this.auth(key) });
+    },
+    poll: {
+      // Some responses come back without `urls`; the id alone is enough
+      url: prediction => prediction.urls?.get ||
+        (prediction.id ? `https://api.replicate.com/v1/predictions/${prediction.id}` : null),
+      cancel: prediction => prediction.urls?.cancel ||
+        (prediction.id ? `https://api.replicate.com/v1/predictions/${prediction.id}/cancel` : null),
+      isDone: result => result.status === 'succeeded',
+      isFailed: result => result.status === 'failed' || result.status === 'canceled',
+      error: result => result.error,
+      status(result) {
+        if (result.status === 'starting') return 'starting the model (a cold start can take a minute)';
+        if (result.status !== 'processing') return result.status || 'queued';
+        // Real-ESRGAN logs tqdm progress bars; the last percentage is the current one
+        const percent = String(result.logs || '').match(/(\d+)%/g)?.pop();
+        return percent ? `processing ${percent}` : 'processing';
+      }
+    }
+  });
+
+  /**
+   * DeepAI (torch-srgan) - fixed 4x model
+   */
+  register({
+    id: 'deepai',
+    label: 'DeepAI',
+    site: 'deepai.org',
+    scales: [4],
+    pricing: { unit: 'USD', perImage: 0.005 },
+    accepts: ['blob', 'url'],
+    auth: key => ({ 'api-key': key }),
+    request({ input, imageUrl, blob, key }) {
+      const formData = new FormData();
+      formData.append('image', input === 'blob' ? blob : imageUrl);
+      return {
+        url: 'https://api.deepai.org/api/torch-srgan',
+        init: { method: 'POST', headers: this.auth(key), body: formData }
+      };
+    }
+  });
+
+  /**
+   * fal.ai (Real-ESRGAN)
+   */
+  register({
+    id: 'fal',
+    label: 'fal.ai',
+    site: 'fal.ai',
+    scales: [2, 4],
+    pricing: { unit: 'USD', perImage: 0.002 },
+    accepts: ['url', 'dataUrl'],
+    auth: key => ({ 'Authorization': `Key ${key}` }),
+    // A drained account is locked with a 403: "User is locked. Reason: Exhausted balance."
+    outOfCredits: (status, body) => status === 402 ||
+      (status === 403 && /exhausted balance/i.test(extractMessage(body))),
+    request({ imageUrl, scale, key }) {
+      return {
+        url: 'https://fal.run/fal-ai/real-esrgan',
+        init: {
+          method: 'POST',
+          headers: { ...this.auth(key), 'Content-Type': 'application/json' },
+          body: JSON.stringify({ image_url: imageUrl, scale: scale })
+        }
+      };
+    },
+    async validate({ key }) {
+      // fal accepts data URIs, so the test image needs no public URL
+      const { url, init } = this.request({ imageUrl: await blobToDataUrl(await tinyImage()), scale: 2, key });
+      return requestJson(this, url, init);
+    }
+  });
+
+  /**
+   * Local - on-device ESRGAN, no key and no network
+   */
+  register({
+    id: 'local',
+    label: 'Local (on-device)',
+    site: 'the HiRes README',
+    scales: global.HiResLocalUpscaler?.scales || [2, 4],
+    accepts: ['blob'],
+    requiresKey: false,
+    run({ blob, scale, onProgress, signal }) {
+      return global.HiResLocalUpscaler.upscale(blob, scale, (done, total) => {
+        onProgress?.(`On-device upscaling · tile ${done} of ${total}`);
+      }, signal);
+    }
+  });
+
+  /**
+   * Read a value by a simple JSON path: "data.output.url", "images[0].url", "$.output"
+   */
+  function getByPath(value, path) {
+    const parts = path.replace(/^\$\.?/, '').match(/[^.[\]]+/g) || [];
+    return parts.reduce((node, part) => (node == null ? undefined : node[part]), value);
+  }
+
+  function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(new Error('Failed to read image'));
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  /**
+   * Parse "Header-Name: value" into a headers object
+   */
+  function parseHeaderLine(line) {
+    const index = (line || '').indexOf(':');
+    if (index <= 0) return {};
+    return { [line.slice(0, index).trim()]: line.slice(index + 1).trim() };
+  }
+
+  /**
+   * Custom endpoint - a self-hosted or generic HTTP upscaler
+   *
+   * Endpoint configuration:
+   *   url            - endpoint URL
+   *   method         - 'POST' or 'PUT'
+   *   authHeader     - optional "Header-Name: value" line
+   *   bodyType       - 'multipart' (file field) or 'json'
+   *   jsonImage      - for JSON bodies: 'base64' (data URL) or 'url'
+   *   imageField     - field carrying the image (default "image")
+   *   scaleField     - field carrying the scale factor (default "scale")
+   *   responseType   - 'json' (output URL at outputPath) or 'binary' (raw image bytes)
+   *   outputPath     - JSON path to the output URL, e.g. "data.output.url"
+   */
+  register({
+    id: 'custom',
+    label: 'Custom endpoint',
+    site: 'your endpoint',
+    scales: [2, 4],
+    accepts: ({ endpoint }) => (endpoint?.bodyType === 'json' && endpoint.jsonImage === 'url' ? ['url'] : ['blob']),
+    requiresKey: false,
+    async run({ input, imageUrl, blob, scale, endpoint, signal, timeout, retries, onProgress }) {
+      if (!endpoint?.url) {
+        throw new Error('No custom endpoint configured.');
+      }
+
+      const imageField = endpoint.imageField || 'image';
+      const scaleField = endpoint.scaleField || 'scale';
+      const headers = parseHeaderLine(endpoint.authHeader);
+      let body;
+
+      if (endpoint.bodyType === 'json') {
+        headers['Content-Type'] = 'application/json';
+        body = JSON.stringify({
+          [imageField]: input === 'url' ? imageUrl : await blobToDataUrl(blob),
+          [scaleField]: scale
+        });
+      } else {
+        body = new FormData();
+        body.append(imageField, blob, 'image.png');
+        body.append(scaleField, String(scale));
+      }
+
+      onProgress?.('Waiting for the custom endpoint...');
+      const response = await fetchWithRetry(this, endpoint.url, {
+        method: endpoint.method || 'POST',
+        headers,
+        body
+      }, { signal, retries, onProgress, timeout: timeout || defaultTimeout(this) });
+
+      if (!response.ok) {
+        throw mapError(this, response.status, await readBody(response));
+      }
+
+      if (endpoint.responseType === 'binary') {
+        const output = await response.blob();
+        if (!output.type.startsWith('image/')) {
+          throw new Error(`Custom endpoint returned ${output.type || 'non-image'} data`);
+        }
+        return { url: URL.createObjectURL(output), blob: output };
+      }
+
+      const result = await readBody(response);
+      const outputUrl = endpoint.outputPath ? getByPath(result, endpoint.outputPath) : normalizeOutput(result);
+      if (typeof outputUrl !== 'string' || !outputUrl) {
+        console.error('Custom endpoint: no output at', endpoint.outputPath, result);
+        throw new Error(`No output URL at "${endpoint.outputPath || 'default paths'}"`);
+      }
+
+      // Relative paths are served by the endpoint itself
+      return { url: new URL(outputUrl, endpoint.url).href };
+    }
+  });
+
+  global.HiResProviders = {
+    register,
+    get,
+    list,
+    upscale,
+    validate,
+    defaultTimeout,
+    normalizeOutput,
+    mapError
+  };
+})(self);
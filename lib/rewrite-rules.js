@@ -0,0 +1,190 @@
+/**
+ * HiRes - Rewrite Rules
+ * Turns resized CDN URLs back into the original asset (WordPress, Shopify,
+ * Cloudinary, Imgix, Pinterest, Twitter, Medium, Squarespace) plus any
+ * regex rules the user adds in settings.
+ *
+ * A rule is { name, pattern, replace, flags? } - `pattern` is a JavaScript regex
+ * source, `replace` a String.prototype.replace() replacement ($1, $2 ...) and
+ * `flags` optional regex flags ('g' to rewrite every match at once).
+ */
+
+(function (global) {
+  'use strict';
+
+  // A Shopify file URL up to its query, and one sizing query parameter
+  const SHOPIFY_FILE = '^https?://(?:cdn\\.shopify\\.com|[^/]+/cdn/shop)/[^?#]+';
+  const SHOPIFY_SIZE_PARAM = '(?:width|height|crop)=[^&#]*';
+
+  // One Cloudinary transformation parameter (w_300, c_fill, ar_16:9, dpr_2.0 ...), and a
+  // path segment made only of them - so folders like my_folder/ or hi_res/ are left alone
+  const CLOUDINARY_PARAM = '(?:a|ac|af|ar|b|bo|br|c|co|cs|d|dl|dn|dpr|du|e|eo|f|fl|fn|fps|g|h|ki|l|o|p|pg|q|r|so|sp|t|u|vc|vs|w|x|y|z)_[^,/]+';
+  const CLOUDINARY_TRANSFORMATION = `${CLOUDINARY_PARAM}(?:,${CLOUDINARY_PARAM})*/`;
+
+  const DEFAULT_RULES = [
+    {
+      name: 'WordPress size suffix',
+      // photo-300x200.jpg -> photo.jpg
+      pattern: '^(https?://[^?#]+?)-\\d+x\\d+(\\.(?:jpe?g|png|gif|webp|avif))(?=$|[?#])',
+      replace: '$1$2'
+    },
+    {
+      name: 'WordPress big-image scaling',
+      // photo-scaled.jpg -> photo.jpg
+      pattern: '^(https?://[^?#]+/wp-content/uploads/[^?#]+?)-scaled(\\.(?:jpe?g|png|webp))',
+      replace: '$1$2'
+    },
+    {
+      name: 'WordPress.com / Jetpack resize',
+      pattern: '^(https?://(?:i\\d\\.wp\\.com|[^/]+\\.files\\.wordpress\\.com)/[^?#]+)\\?.*$',
+      replace: '$1'
+    },
+    {
+      name: 'Shopify size suffix',
+      // product_600x.jpg, product_600x400_crop_center@2x.jpg -> product.jpg
+      pattern: '^(https?://(?:cdn\\.shopify\\.com|[^/]+/cdn/shop)/[^?#]+?)_(?:\\d+x\\d*|\\d*x\\d+|pico|icon|thumb|small|compact|medium|large|grande)(?:_crop_[a-z]+)?(?:@\\dx)?(\\.\\w+)',
+      replace: '$1$2'
+    },
+    {
+      name: 'Shopify width/height params',
+      // ?v=1&width=600&height=400 -> ?v=1, ?width=600&v=1 -> ?v=1, ?width=600&height=400 -> (none).
+      // Alternatives: a query of only sizing params; sizing params leading the query; any later one.
+      pattern: `(?<=${SHOPIFY_FILE})\\?(?:${SHOPIFY_SIZE_PARAM}&?)+(?=#|$)` +
+        `|(?<=${SHOPIFY_FILE}\\?)(?:${SHOPIFY_SIZE_PARAM}(?:&|(?=#|$)))+` +
+        `|(?<=${SHOPIFY_FILE}\\?[^#]*)&${SHOPIFY_SIZE_PARAM}`,
+      replace: '',
+      flags: 'g'
+    },
+    {
+      name: 'Cloudinary transformations',
+      // /image/upload/w_300,h_200,c_fill/q_auto/v123/x.jpg -> /image/upload/v123/x.jpg
+      // /image/upload/w_300/hi_res/x.jpg -> /image/upload/hi_res/x.jpg (folders are kept)
+      pattern: `^(https?://res\\.cloudinary\\.com/[^/]+/image/upload/)(?:${CLOUDINARY_TRANSFORMATION})+`,
+      replace: '$1'
+    },
+    {
+      name: 'Imgix parameters',
+      pattern: '^(https?://[^/]+\\.imgix\\.net/[^?#]+)\\?.*$',
+      replace: '$1'
+    },
+    {
+      name: 'Pinterest sizes',
+      // i.pinimg.com/236x/ab/cd/x.jpg -> i.pinimg.com/originals/ab/cd/x.jpg
+      pattern: '^(https?://i\\.pinimg\\.com)/(?:\\d+x\\d*|\\d*x\\d+)/',
+      replace: '$1/originals/'
+    },
+    {
+      name: 'Twitter / X media size',
+      pattern: '^(https?://pbs\\.twimg\\.com/media/[^?#]+\\?(?:[^#]*&)?name=)[^&#]+',
+      replace: '$1orig'
+    },
+    {
+      name: 'Twitter / X legacy size suffix',
+      pattern: '^(https?://pbs\\.twimg\\.com/media/[^?#:]+\\.\\w+):\\w+$',
+      replace: '$1:orig'
+    },
+    {
+      name: 'Medium resize',
+      // miro.medium.com/v2/resize:fit:720/format:webp/1*x.png -> miro.medium.com/v2/1*x.png
+      pattern: '^(https?://miro\\.medium\\.com/)(?:v2/)?(?:(?:resize|format|quality|max|fit):[^/]+/|max/\\d+/)+',
+      replace: '$1v2/'
+    },
+    {
+      name: 'Squarespace format',
+      pattern: '^(https?://(?:images|static\\d*)\\.squarespace(?:-cdn)?\\.com/[^?#]+\\?(?:[^#]*&)?format=)[^&#]+',
+      replace: '$1original'
+    }
+  ];
+
+  /**
+   * Compile a rule, or explain why it can't be
+   * @returns {{regex: RegExp, replace: string}|{error: string}}
+   */
+  function compile(rule) {
+    try {
+      return { regex: new RegExp(rule.pattern, rule.flags), replace: rule.replace || '' };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  /**
+   * The rules in effect for the given settings, built-ins first
+   */
+  function activeRules(settings) {
+    const { useDefaults, rules } = settings.rewrite;
+    return [...(useDefaults ? DEFAULT_RULES : []), ...rules];
+  }
+
+  /**
+   * Candidate originals for an image URL, most-rewritten first.
+   * Every matching rule is applied in turn; each step is kept as a candidate
+   * in case a later rule overshoots, and the untouched URL comes last.
+   * @param {string} url
+   * @param {Array} rules
+   * @returns {string[]}
+   */
+  function candidates(url, rules) {
+    const steps = [];
+    let current = url;
+
+    rules.forEach(rule => {
+      const compiled = compile(rule);
+      if (compiled.error || !compiled.regex.test(current)) return;
+
+      const rewritten = current.replace(compiled.regex, compiled.replace);
+      if (rewritten !== current) {
+        steps.push(rewritten);
+        current = rewritten;
+      }
+    });
+
+    return [...new Set([...steps.reverse(), url])];
+  }
+
+  /**
+   * Parse the options page text format: one "pattern => replacement" per line,
+   * blank lines and lines starting with # are ignored
+   * @returns {{rules: Array, errors: string[]}}
+   */
+  function parse(text) {
+    const rules = [];
+    const errors = [];
+
+    text.split('\n').forEach((line, index) => {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith('#')) return;
+
+      const separator = trimmed.lastIndexOf('=>');
+      if (separator === -1) {
+        errors.push(`Line ${index + 1}: expected "pattern => replacement"`);
+        return;
+      }
+
+      const rule = {
+        pattern: trimmed.slice(0, separator).trim(),
+        replace: trimmed.slice(separator + 2).trim()
+      };
+      const compiled = compile(rule);
+      if (compiled.error) {
+        errors.push(`Line ${index + 1}: ${compiled.error}`);
+        return;
+      }
+      rules.push(rule);
+    });
+
+    return { rules, errors };
+  }
+
+  function format(rules) {
+    return rules.map(rule => `${rule.pattern} => ${rule.replace}`).join('\n');
+  }
+
+  global.HiResRewrite = {
+    DEFAULT_RULES,
+    activeRules,
+    candidates,
+    parse,
+    format
+  };
+})(self);
@@ -0,0 +1,229 @@
+/**
+ * HiRes - Settings
+ * Single source of truth for user settings, shared by the service worker,
+ * Upscale Studio and the options page. Stored in chrome.storage.sync.
+ */
+
+(function (global) {
+  'use strict';
+
+  const DEFAULTS = {
+    defaultProvider: 'claid',
+    defaultScale: 2,
+    providerKeys: {},
+    // Spend guards (see lib/usage.js)
+    guards: {
+      // Start upscaling as soon as the studio opens
+      autoStart: true,
+      // Ask before 4× jobs on paid providers
+      confirmLargeScale: false,
+      // Provider calls per day / month across paid providers, 0 for no cap
+      dailyCap: 0,
+      monthlyCap: 0
+    },
+    // Provider requests
+    network: {
+      // Retries for rate limits (429), server errors (5xx) and network failures
+      retries: 2,
+      // Seconds a job may take, by provider id; missing uses the provider's default
+      timeouts: {}
+    },
+    // Studio custom target, remembered between jobs (see lib/targets.js)
+    target: {
+      // 'factor' | 'fit' | 'long' | 'print'
+      kind: 'fit',
+      factor: 3,
+      width: 3840,
+      height: 2160,
+      edge: 3840,
+      // Inches at dpi
+      printWidth: 8,
+      printHeight: 10,
+      dpi: 300
+    },
+    // Claid enhancement presets (see lib/presets.js)
+    presets: {
+      // Id of the preset the studio starts with
+      selected: 'standard',
+      // User-edited list; empty uses the built-in presets
+      items: []
+    },
+    // Studio provider comparison: ids ticked for a run; empty ticks every configured provider
+    compare: {
+      providers: []
+    },
+    // Large jobs are split into overlapping tiles (see lib/tiling.js)
+    tiling: {
+      // 'auto' (only beyond provider limits) | 'always' | 'off'
+      mode: 'auto',
+      tileSize: 1024,
+      overlap: 32,
+      concurrency: 2
+    },
+    customEndpoint: {
+      url: '',
+      method: 'POST',
+      authHeader: '',
+      bodyType: 'multipart',
+      jsonImage: 'base64',
+      imageField: 'image',
+      scaleField: 'scale',
+      responseType: 'binary',
+      outputPath: ''
+    },
+    downloads: {
+      originalTemplate: 'HiRes/Originals/{query}/{domain}_{name}',
+      upscaleTemplate: 'HiRes/Upscaled/{date}/{name}_{scale}x_{provider}_{width}x{height}',
+      // 'uniquify' | 'overwrite' | 'prompt'
+      conflictAction: 'uniquify',
+      // What "Open with HiRes" does: 'tab' | 'download' | 'both'
+      openAction: 'tab',
+      // Write the source's colour profile and selected EXIF/XMP into saved upscales (see lib/metadata.js)
+      keepMetadata: true
+    },
+    // Overlays on Google Images thumbnails (content.js)
+    thumbnails: {
+      // Original resolution and file type on each thumbnail, looked up as it scrolls into view
+      badges: true,
+      // Open / Upscale / Copy URL buttons on hover
+      actions: true,
+      // Results whose original is smaller are hidden, 0 to show all
+      minMegapixels: 0
+    },
+    // Studio export panel, remembered between jobs (see lib/exporter.js)
+    export: {
+      // 'png' | 'jpeg' | 'webp' | 'avif'
+      format: 'webp',
+      quality: 0.85,
+      // 'keep' | 'strip' (flatten onto background)
+      alpha: 'keep',
+      background: '#ffffff',
+      // Longest side in px, 0 for full size
+      maxEdge: 0
+    },
+    // Finished upscales kept in IndexedDB (see lib/history.js)
+    history: {
+      enabled: true,
+      // Least recently used entries are evicted beyond this
+      quotaMB: 500
+    },
+    // CDN URL rewriting on sites without an adapter (see lib/rewrite-rules.js)
+    rewrite: {
+      useDefaults: true,
+      // User rules: [{ pattern, replace }]
+      rules: []
+    }
+  };
+
+  // Keys that ship with the extension (demo quota)
+  const BUILT_IN_KEYS = {
+    claid: 'b176fab7d37647a1bb785e0ee2193540'
+  };
+
+  // Pre-options-page storage: { upscaleApi, apiKey }
+  const LEGACY_KEYS = ['upscaleApi', 'apiKey'];
+
+  /**
+   * Move the old single service:key pair into per-provider settings
+   */
+  async function migrateLegacy(stored) {
+    if (!stored.upscaleApi && !stored.apiKey) return stored;
+
+    const api = stored.upscaleApi || DEFAULTS.defaultProvider;
+    const migrated = {
+      defaultProvider: stored.defaultProvider || api,
+      providerKeys: { ...stored.providerKeys }
+    };
+    if (stored.apiKey && !migrated.providerKeys[api]) {
+      migrated.providerKeys[api] = stored.apiKey;
+    }
+
+    await chrome.storage.sync.set(migrated);
+    await chrome.storage.sync.remove(LEGACY_KEYS);
+    return { ...stored, ...migrated };
+  }
+
+  /**
+   * Load settings merged over defaults
+   */
+  async function load() {
+    const stored = await migrateLegacy(await chrome.storage.sync.get(null));
+
+    return {
+      ...DEFAULTS,
+      ...stored,
+      providerKeys: { ...stored.providerKeys },
+      guards: { ...DEFAULTS.guards, ...stored.guards },
+      network: { ...DEFAULTS.network, ...stored.network, timeouts: { ...stored.network?.timeouts } },
+      target: { ...DEFAULTS.target, ...stored.target },
+      presets: { ...DEFAULTS.presets, ...stored.presets },
+      compare: { ...DEFAULTS.compare, ...stored.compare },
+      tiling: { ...DEFAULTS.tiling, ...stored.tiling },
+      customEndpoint: { ...DEFAULTS.customEndpoint, ...stored.customEndpoint },
+      downloads: { ...DEFAULTS.downloads, ...stored.downloads },
+      thumbnails: { ...DEFAULTS.thumbnails, ...stored.thumbnails },
+      export: { ...DEFAULTS.export, ...stored.export },
+      history: { ...DEFAULTS.history, ...stored.history },
+      rewrite: { ...DEFAULTS.rewrite, ...stored.rewrite }
+    };
+  }
+
+  /**
+   * Persist a partial settings object
+   */
+  function save(partial) {
+    return chrome.storage.sync.set(partial);
+  }
+
+  /**
+   * Remove stored API keys - all of them, or a single provider's
+   */
+  async function clearKeys(provider) {
+    if (!provider) {
+      await chrome.storage.sync.set({ providerKeys: {} });
+      return;
+    }
+    const { providerKeys } = await load();
+    delete providerKeys[provider];
+    await chrome.storage.sync.set({ providerKeys });
+  }
+
+  /**
+   * The key to use for a provider: the user's own, else any built-in one
+   */
+  function keyFor(settings, provider) {
+    return settings.providerKeys[provider] || BUILT_IN_KEYS[provider] || '';
+  }
+
+  /**
+   * The user's time limit for a provider's jobs in ms, or undefined for the provider's default
+   */
+  function timeoutFor(settings, provider) {
+    const seconds = settings.network.timeouts[provider];
+    return seconds > 0 ? seconds * 1000 : undefined;
+  }
+
+  function hasBuiltInKey(provider) {
+    return Boolean(BUILT_IN_KEYS[provider]);
+  }
+
+  /**
+   * Call back with fresh settings whenever they change
+   */
+  function onChange(callback) {
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'sync') load().then(callback);
+    });
+  }
+
+  global.HiResSettings = {
+    DEFAULTS,
+    load,
+    save,
+    clearKeys,
+    keyFor,
+    timeoutFor,
+    hasBuiltInKey,
+    onChange
+  };
+})(self);
@@ -0,0 +1,114 @@
+/**
+ * HiRes - Sites
+ * Which pages have an extraction adapter, plus URL helpers that need no DOM.
+ * Loaded by the service worker and, ahead of content.js, by the content script.
+ */
+
+(function (global) {
+  'use strict';
+
+  const GOOGLE_HOST = /^www\.google\.(com|co\.\w+|com\.\w+|\w+)$/;
+  const YANDEX_HOST = /^(www\.)?yandex\.(ru|com|com\.tr|kz|by|ua|uz)$/;
+  const PINTEREST_HOST = /(^|\.)pinterest\.(com|co\.uk|ca|de|fr|es|it|jp|com\.au|com\.mx|pt|ch|at|nz|ie|ru|se|dk|cl|ph)$/;
+
+  // Google country domains whose image results get bulk extraction
+  const GOOGLE_DOMAINS = [
+    'com', 'co.uk', 'co.jp', 'co.in', 'co.kr', 'co.nz', 'co.za', 'co.th', 'co.id',
+    'com.au', 'com.br', 'com.mx', 'com.ar', 'com.sg', 'com.hk', 'com.tr', 'com.ph', 'com.vn', 'com.my',
+    'ca', 'de', 'fr', 'es', 'it', 'ru', 'nl', 'pl', 'se', 'ch', 'at', 'be', 'pt', 'ae'
+  ];
+
+  // Match patterns (for menus) of Google search result pages
+  const GOOGLE_SEARCH_PAGES = GOOGLE_DOMAINS.map(domain => `https://www.google.${domain}/search*`);
+
+  const SITES = [
+    {
+      id: 'google',
+      label: 'Google Images',
+      // tbm=isch, or udm=2 (new Google Images param)
+      matches: (u) => GOOGLE_HOST.test(u.hostname) &&
+        (u.searchParams.get('tbm') === 'isch' || u.searchParams.get('udm') === '2')
+    },
+    {
+      id: 'bing',
+      label: 'Bing Images',
+      matches: (u) => /(^|\.)bing\.com$/.test(u.hostname) && u.pathname.startsWith('/images')
+    },
+    {
+      id: 'duckduckgo',
+      label: 'DuckDuckGo',
+      matches: (u) => u.hostname === 'duckduckgo.com' &&
+        (u.searchParams.get('ia') === 'images' || u.searchParams.get('iax') === 'images')
+    },
+    {
+      id: 'yandex',
+      label: 'Yandex Images',
+      matches: (u) => YANDEX_HOST.test(u.hostname) && u.pathname.startsWith('/images')
+    },
+    {
+      id: 'pinterest',
+      label: 'Pinterest',
+      matches: (u) => PINTEREST_HOST.test(u.hostname)
+    },
+    {
+      id: 'wikimedia',
+      label: 'Wikimedia Commons',
+      matches: (u) => u.hostname === 'commons.wikimedia.org' || /\.wikipedia\.org$/.test(u.hostname)
+    }
+  ];
+
+  /**
+   * The site adapter for a page URL, or null when HiRes has none
+   * @returns {{id: string, label: string}|null}
+   */
+  function match(url) {
+    try {
+      const parsed = new URL(url);
+      const site = SITES.find(s => s.matches(parsed));
+      return site ? { id: site.id, label: site.label } : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * "File:Name.jpg" for a Wikipedia/Commons file description page, else null
+   */
+  function wikiFileTitle(url) {
+    try {
+      const parsed = new URL(url);
+      if (!/(^|\.)(wikimedia|wikipedia)\.org$/.test(parsed.hostname)) return null;
+
+      const title = parsed.pathname.startsWith('/wiki/')
+        ? decodeURIComponent(parsed.pathname.slice(6))
+        : parsed.searchParams.get('title');
+      return title && /^(File|Image):/i.test(title) ? title.replace(/^Image:/i, 'File:') : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * upload.wikimedia.org/.../thumb/a/ab/Name.jpg/320px-Name.jpg -> .../a/ab/Name.jpg
+   */
+  function wikiThumbToOriginal(url) {
+    const match = (url || '').match(/^(https?:\/\/upload\.wikimedia\.org\/[^/]+\/[^/]+)\/thumb\/([0-9a-f]\/[0-9a-f]{2}\/[^/]+)\/[^/]+$/);
+    return match ? `${match[1]}/${match[2]}` : null;
+  }
+
+  /**
+   * i.pinimg.com/236x/ab/cd/ef/x.jpg -> i.pinimg.com/originals/ab/cd/ef/x.jpg
+   */
+  function pinterestOriginal(url) {
+    const match = (url || '').match(/^(https?:\/\/i\.pinimg\.com)\/(?:\d+x\d*|\d*x\d+)\/(.+)$/);
+    return match ? `${match[1]}/originals/${match[2]}` : null;
+  }
+
+  global.HiResSites = {
+    GOOGLE_SEARCH_PAGES,
+    match,
+    wikiFileTitle,
+    wikiThumbToOriginal,
+    pinterestOriginal
+  };
+})(self);
@@ -0,0 +1,147 @@
+/**
+ * HiRes - Output Targets
+ * Turns a target (a factor, a W×H box, a long edge or a print size) into exact
+ * output dimensions, and plans the provider passes that reach them: the fewest
+ * passes of the provider's own scales, then a local high-quality resample to the
+ * exact size.
+ */
+
+(function (global) {
+  'use strict';
+
+  // More passes than this compounds provider artifacts and cost
+  const MAX_PASSES = 3;
+
+  // A pass may fall this far short, to be made up by the final resample
+  // (e.g. 1900 px → exactly 3840 px is one 2× pass plus a 1% resample, not a 4× pass)
+  const RESAMPLE_UP_TOLERANCE = 1.05;
+
+  // Quick picks for the studio; print sizes are in inches
+  const COMMON = [
+    { label: 'Full HD 1920 × 1080', kind: 'fit', width: 1920, height: 1080 },
+    { label: 'QHD 2560 × 1440', kind: 'fit', width: 2560, height: 1440 },
+    { label: '4K UHD 3840 × 2160', kind: 'fit', width: 3840, height: 2160 },
+    { label: '5K 5120 × 2880', kind: 'fit', width: 5120, height: 2880 },
+    { label: '8K UHD 7680 × 4320', kind: 'fit', width: 7680, height: 4320 },
+    { label: 'Print 4 × 6 in', kind: 'print', printWidth: 4, printHeight: 6 },
+    { label: 'Print 5 × 7 in', kind: 'print', printWidth: 5, printHeight: 7 },
+    { label: 'Print 8 × 10 in', kind: 'print', printWidth: 8, printHeight: 10 },
+    { label: 'Print A4', kind: 'print', printWidth: 8.27, printHeight: 11.69 },
+    { label: 'Print Letter', kind: 'print', printWidth: 8.5, printHeight: 11 },
+    { label: 'Print A3', kind: 'print', printWidth: 11.69, printHeight: 16.54 }
+  ];
+
+  /**
+   * Output size for a target
+   * @param {Object} target - { kind: 'factor', factor } | { kind: 'fit', width, height } |
+   *                          { kind: 'long', edge } | { kind: 'print', printWidth, printHeight, dpi }
+   * @param {number} width - Source width
+   * @param {number} height - Source height
+   * @returns {{width: number, height: number, factor: number}}
+   */
+  function resolve(target, width, height) {
+    let factor;
+
+    switch (target.kind) {
+      case 'fit':
+        factor = Math.min(target.width / width, target.height / height);
+        break;
+      case 'long':
+        factor = target.edge / Math.max(width, height);
+        break;
+      case 'print': {
+        // Prints turn to match the image, so a landscape photo fills a landscape page
+        const long = Math.max(target.printWidth, target.printHeight) * target.dpi;
+        const short = Math.min(target.printWidth, target.printHeight) * target.dpi;
+        factor = width >= height
+          ? Math.min(long / width, short / height)
+          : Math.min(short / width, long / height);
+        break;
+      }
+      default:
+        factor = target.factor;
+    }
+
+    if (!Number.isFinite(factor) || factor <= 0) {
+      throw new Error('Enter a valid target size');
+    }
+
+    return {
+      width: Math.max(1, Math.round(width * factor)),
+      height: Math.max(1, Math.round(height * factor)),
+      factor
+    };
+  }
+
+  /**
+   * Provider scales to chain for an overall factor: the fewest passes, then the
+   * smallest overshoot
+   * @param {number} factor - Overall scale factor needed
+   * @param {number[]} scales - Scales the provider supports
+   * @returns {number[]} Scales of each pass, smallest first (later passes then start from a smaller image)
+   */
+  function passes(factor, scales) {
+    const needed = factor / RESAMPLE_UP_TOLERANCE;
+    if (needed <= 1) return [];
+
+    let best = null;
+    const search = (chosen, product, from) => {
+      if (product >= needed) {
+        const total = chosen.reduce((a, b) => a * b, 1);
+        if (!best || chosen.length < best.length || (chosen.length === best.length && total < best.total)) {
+          best = Object.assign([...chosen], { total });
+        }
+        return;
+      }
+      if (chosen.length === MAX_PASSES) return;
+      // Each pass takes a scale at or after the previous one's, so every combination is tried once
+      scales.slice(from).forEach((scale, i) => search([...chosen, scale], product * scale, from + i));
+    };
+    search([], 1, 0);
+
+    if (!best) {
+      const max = Math.max(...scales) ** MAX_PASSES;
+      throw new Error(`${Math.round(factor * 10) / 10}× is beyond ${MAX_PASSES} passes (up to ${max}×)`);
+    }
+    return [...best].sort((a, b) => a - b);
+  }
+
+  /**
+   * Resize to exact dimensions with the browser's high-quality filter
+   * @returns {Promise<{url: string, blob: Blob}>}
+   */
+  async function resample(blob, width, height) {
+    // Colour values are resized as they are, never converted to sRGB
+    const source = await createImageBitmap(blob, { colorSpaceConversion: 'none' });
+    const resized = await createImageBitmap(source, { resizeWidth: width, resizeHeight: height, resizeQuality: 'high' });
+    source.close();
+
+    const canvas = new OffscreenCanvas(width, height);
+    canvas.getContext('2d').drawImage(resized, 0, 0);
+    resized.close();
+
+    const output = await canvas.convertToBlob({ type: 'image/png' });
+    return { url: URL.createObjectURL(output), blob: output };
+  }
+
+  /**
+   * Short label for a target, e.g. "3×", "fit 3840 × 2160", "long edge 4000 px", "8 × 10 in @ 300 dpi"
+   */
+  function describe(target) {
+    switch (target.kind) {
+      case 'fit': return `fit ${target.width} × ${target.height}`;
+      case 'long': return `long edge ${target.edge} px`;
+      case 'print': return `${target.printWidth} × ${target.printHeight} in @ ${target.dpi} dpi`;
+      default: return `${target.factor}×`;
+    }
+  }
+
+  global.HiResTargets = {
+    MAX_PASSES,
+    COMMON,
+    resolve,
+    passes,
+    resample,
+    describe
+  };
+})(self);
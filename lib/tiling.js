@@ -0,0 +1,214 @@
+/**
+ * HiRes - Tiling
+ * Upscales large images in overlapping tiles through any provider, a few at a
+ * time, and feathers the overlaps together on a canvas so no seams show.
+ */
+
+(function (global) {
+  'use strict';
+
+  // Largest output we are willing to allocate on a canvas
+  const MAX_OUTPUT_PIXELS = 100 * 1000 * 1000;
+
+  // Never cut tiles smaller than this, however tight a provider's limit
+  const MIN_TILE_SIZE = 256;
+
+  /**
+   * Start offsets along one axis. The last tile is pulled back to end flush
+   * with the edge, so it may overlap its neighbour by more than `overlap`.
+   */
+  function axisStarts(length, tileSize, overlap) {
+    if (length <= tileSize) return [0];
+    const step = tileSize - overlap;
+    const count = Math.ceil((length - overlap) / step);
+    return Array.from({ length: count }, (_, i) => Math.min(i * step, length - tileSize));
+  }
+
+  /**
+   * Cut a width × height image into overlapping tiles, row by row. The overlap
+   * is capped at a quarter tile so every tile still contributes new pixels.
+   * @returns {Array<{index, row, col, x, y, width, height, overlapLeft, overlapTop}>}
+   */
+  function plan(width, height, tileSize, overlap) {
+    overlap = Math.min(overlap, Math.floor(tileSize / 4));
+    const xs = axisStarts(width, tileSize, overlap);
+    const ys = axisStarts(height, tileSize, overlap);
+    const tileWidth = Math.min(tileSize, width);
+    const tileHeight = Math.min(tileSize, height);
+    const tiles = [];
+
+    ys.forEach((y, row) => {
+      xs.forEach((x, col) => {
+        tiles.push({
+          index: tiles.length,
+          row,
+          col,
+          x,
+          y,
+          width: tileWidth,
+          height: tileHeight,
+          overlapLeft: col > 0 ? xs[col - 1] + tileWidth - x : 0,
+          overlapTop: row > 0 ? ys[row - 1] + tileHeight - y : 0
+        });
+      });
+    });
+
+    return tiles;
+  }
+
+  /**
+   * Tile edge length for a provider: the configured size, shrunk to fit its input limit
+   */
+  function tileSizeFor(adapter, settings) {
+    const { tileSize, overlap } = settings.tiling;
+    if (!adapter.maxInputPixels) return tileSize;
+    const fits = Math.floor(Math.sqrt(adapter.maxInputPixels));
+    return Math.max(MIN_TILE_SIZE, Math.min(tileSize, fits - overlap));
+  }
+
+  /**
+   * Whether to tile this job. 'auto' only tiles what the provider would reject.
+   */
+  function shouldTile(adapter, width, height, scale, settings) {
+    const { mode, tileSize } = settings.tiling;
+    // The local model already runs in small tiles of its own
+    if (mode === 'off' || adapter.id === 'local' || !width || !height) return false;
+    if (mode === 'always') return width > tileSize || height > tileSize;
+
+    const pixels = width * height;
+    return Boolean(
+      (adapter.maxInputPixels && pixels > adapter.maxInputPixels) ||
+      (adapter.maxOutputPixels && pixels * scale * scale > adapter.maxOutputPixels)
+    );
+  }
+
+  /**
+   * Fade the left/top overlap of an upscaled tile from transparent to opaque,
+   * so drawing it over its already-placed neighbours blends the seam
+   */
+  function featherTile(bitmap, width, height, rampLeft, rampTop) {
+    const canvas = new OffscreenCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(bitmap, 0, 0, width, height);
+
+    ctx.globalCompositeOperation = 'destination-in';
+    if (rampLeft > 0) {
+      const gradient = ctx.createLinearGradient(0, 0, rampLeft, 0);
+      gradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
+      gradient.addColorStop(1, 'rgba(0, 0, 0, 1)');
+      ctx.fillStyle = gradient;
+      ctx.fillRect(0, 0, width, height);
+    }
+    if (rampTop > 0) {
+      const gradient = ctx.createLinearGradient(0, 0, 0, rampTop);
+      gradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
+      gradient.addColorStop(1, 'rgba(0, 0, 0, 1)');
+      ctx.fillStyle = gradient;
+      ctx.fillRect(0, 0, width, height);
+    }
+
+    return canvas;
+  }
+
+  /**
+   * Upscale an image tile by tile
+   * @param {Blob} source - The full source image
+   * @param {number} scale - Scale factor every tile is upscaled by
+   * @param {Object} options
+   * @param {number} options.tileSize - Tile edge in source pixels
+   * @param {number} options.overlap - Overlap between neighbouring tiles, in source pixels
+   * @param {number} options.concurrency - Tiles in flight at once
+   * @param {Function} options.upscaleTile - (blob, tile) => Promise<Blob> upscaled tile
+   * @param {Function} [options.onProgress] - (done, total, running) after each tile starts or finishes
+   * @param {AbortSignal} [options.signal] - Stops starting new tiles; rejects with the signal's reason
+   * @returns {Promise<{url: string, blob: Blob, tiles: number}>}
+   */
+  async function upscale(source, scale, { tileSize, overlap, concurrency, upscaleTile, onProgress, signal }) {
+    // Raw colour values: the tiles stay in the source's profile, which is written back on download
+    const image = await createImageBitmap(source, { colorSpaceConversion: 'none' });
+    const { width, height } = image;
+
+    if (width * height * scale * scale > MAX_OUTPUT_PIXELS) {
+      image.close();
+      throw new Error(`Output would be ${Math.round(width * scale)}×${Math.round(height * scale)}, too large to assemble`);
+    }
+
+    const tiles = plan(width, height, tileSize, overlap);
+    const output = new OffscreenCanvas(Math.round(width * scale), Math.round(height * scale));
+    const outputCtx = output.getContext('2d');
+
+    const finished = new Map();
+    let nextToStart = 0;
+    let nextToDraw = 0;
+    let running = 0;
+    let failure = null;
+
+    const report = () => onProgress?.(nextToDraw, tiles.length, running);
+
+    // Tiles must be composited in order - each one feathers over its left and top neighbours
+    const drawReady = () => {
+      while (finished.has(nextToDraw)) {
+        const tile = tiles[nextToDraw];
+        const bitmap = finished.get(nextToDraw);
+        finished.delete(nextToDraw);
+
+        const feathered = featherTile(
+          bitmap,
+          Math.round(tile.width * scale),
+          Math.round(tile.height * scale),
+          Math.round(tile.overlapLeft * scale),
+          Math.round(tile.overlapTop * scale)
+        );
+        outputCtx.drawImage(feathered, Math.round(tile.x * scale), Math.round(tile.y * scale));
+        bitmap.close();
+        nextToDraw++;
+      }
+    };
+
+    const worker = async () => {
+      while (!failure && !signal?.aborted && nextToStart < tiles.length) {
+        const tile = tiles[nextToStart++];
+        running++;
+        report();
+
+        try {
+          const crop = new OffscreenCanvas(tile.width, tile.height);
+          crop.getContext('2d').drawImage(image, tile.x, tile.y, tile.width, tile.height, 0, 0, tile.width, tile.height);
+          const tileBlob = await crop.convertToBlob({ type: 'image/png' });
+
+          const upscaled = await upscaleTile(tileBlob, tile);
+          finished.set(tile.index, await createImageBitmap(upscaled, { colorSpaceConversion: 'none' }));
+          drawReady();
+        } catch (error) {
+          failure = failure || (error.name === 'AbortError'
+            ? error
+            : new Error(`Tile ${tile.index + 1} of ${tiles.length} failed: ${error.message}`));
+        } finally {
+          running--;
+          report();
+        }
+      }
+    };
+
+    try {
+      const workers = Math.max(1, Math.min(concurrency, tiles.length));
+      await Promise.all(Array.from({ length: workers }, worker));
+    } finally {
+      image.close();
+      finished.forEach(bitmap => bitmap.close());
+    }
+
+    signal?.throwIfAborted();
+    if (failure) throw failure;
+
+    const blob = await output.convertToBlob({ type: 'image/png' });
+    return { url: URL.createObjectURL(blob), blob, tiles: tiles.length };
+  }
+
+  global.HiResTiling = {
+    plan,
+    tileSizeFor,
+    shouldTile,
+    upscale
+  };
+})(self);
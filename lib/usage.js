@@ -0,0 +1,147 @@
+/**
+ * HiRes - Usage
+ * Counts every provider call (per day, per provider) in chrome.storage.local:
+ * calls, calls per scale, input megapixels and estimated cost. Also checks the
+ * daily/monthly caps from settings before a job starts.
+ */
+
+(function (global) {
+  'use strict';
+
+  const STORAGE_KEY = 'usage';
+
+  // Days of history kept; enough for the month view and a year of totals
+  const KEEP_DAYS = 400;
+
+  // Read-modify-write of the usage record, chained so concurrent calls (tiles,
+  // compare runs) don't overwrite each other's counts
+  let pendingWrite = Promise.resolve();
+
+  const pad = (n) => String(n).padStart(2, '0');
+  const dayKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+  async function loadDays() {
+    const { [STORAGE_KEY]: stored } = await chrome.storage.local.get(STORAGE_KEY);
+    return stored?.days || {};
+  }
+
+  /**
+   * Estimated cost of one call, in the provider's own unit
+   */
+  function estimateCost(adapter) {
+    return adapter?.pricing ? { amount: adapter.pricing.perImage, unit: adapter.pricing.unit } : { amount: 0, unit: null };
+  }
+
+  /**
+   * Whether calls to a provider are charged, going by its pricing metadata
+   */
+  function isPaid(provider) {
+    return Boolean(HiResProviders.get(provider)?.pricing);
+  }
+
+  function queueWrite(write) {
+    const result = pendingWrite.then(write);
+    pendingWrite = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Record one successful provider call
+   * @param {Object} call - { provider, scale, width, height }
+   */
+  function record(call) {
+    return queueWrite(() => addCall(call));
+  }
+
+  async function addCall({ provider, scale, width, height }) {
+    const days = await loadDays();
+    const today = dayKey(new Date());
+    const entry = days[today]?.[provider] || { calls: 0, byScale: {}, megapixels: 0, cost: 0 };
+    const { amount, unit } = estimateCost(HiResProviders.get(provider));
+
+    entry.calls++;
+    entry.byScale[scale] = (entry.byScale[scale] || 0) + 1;
+    entry.megapixels += (width * height) / 1e6;
+    entry.cost += amount;
+    entry.unit = unit;
+
+    days[today] = { ...days[today], [provider]: entry };
+
+    // Drop days past the retention window
+    const cutoff = dayKey(new Date(Date.now() - KEEP_DAYS * 86400000));
+    Object.keys(days).filter(day => day < cutoff).forEach(day => delete days[day]);
+
+    await chrome.storage.local.set({ [STORAGE_KEY]: { days } });
+  }
+
+  /**
+   * Totals per provider for today, this month and all kept days
+   * @returns {Promise<{today: Object, month: Object, total: Object}>} Each maps provider id to totals
+   */
+  async function summary() {
+    const days = await loadDays();
+    const today = dayKey(new Date());
+    const month = today.slice(0, 7);
+    const periods = { today: {}, month: {}, total: {} };
+
+    const add = (bucket, provider, entry) => {
+      const sum = bucket[provider] || { calls: 0, byScale: {}, megapixels: 0, cost: 0, unit: entry.unit };
+      sum.calls += entry.calls;
+      sum.megapixels += entry.megapixels;
+      sum.cost += entry.cost;
+      Object.entries(entry.byScale).forEach(([scale, n]) => { sum.byScale[scale] = (sum.byScale[scale] || 0) + n; });
+      bucket[provider] = sum;
+    };
+
+    Object.entries(days).forEach(([day, providers]) => {
+      Object.entries(providers).forEach(([provider, entry]) => {
+        add(periods.total, provider, entry);
+        if (day.startsWith(month)) add(periods.month, provider, entry);
+        if (day === today) add(periods.today, provider, entry);
+      });
+    });
+
+    return periods;
+  }
+
+  /**
+   * Calls to paid providers in a period's totals
+   */
+  function paidCalls(period) {
+    return Object.entries(period)
+      .filter(([provider]) => isPaid(provider))
+      .reduce((sum, [, entry]) => sum + entry.calls, 0);
+  }
+
+  /**
+   * Whether `calls` more provider calls fit under the caps in settings
+   * @returns {Promise<string|null>} Why the job is blocked, or null when it may run
+   */
+  async function checkCaps(settings, provider, calls = 1) {
+    const { dailyCap, monthlyCap } = settings.guards;
+    if (!isPaid(provider) || (!dailyCap && !monthlyCap)) return null;
+
+    const { today, month } = await summary();
+    if (dailyCap && paidCalls(today) + calls > dailyCap) {
+      return `Daily cap reached: ${paidCalls(today)} of ${dailyCap} upscales used today. Raise it in Settings → Usage.`;
+    }
+    if (monthlyCap && paidCalls(month) + calls > monthlyCap) {
+      return `Monthly cap reached: ${paidCalls(month)} of ${monthlyCap} upscales used this month. Raise it in Settings → Usage.`;
+    }
+    return null;
+  }
+
+  function reset() {
+    return queueWrite(() => chrome.storage.local.remove(STORAGE_KEY));
+  }
+
+  global.HiResUsage = {
+    estimateCost,
+    isPaid,
+    record,
+    summary,
+    paidCalls,
+    checkCaps,
+    reset
+  };
+})(self);
@@ -0,0 +1,676 @@
+/**
+ * HiRes - Options Page
+ * Per-provider keys, connection tests, defaults, the custom endpoint, downloads and rewrite rules
+ */
+
+(function() {
+  'use strict';
+
+  // DOM Elements
+  const defaultProvider = document.getElementById('defaultProvider');
+  const defaultScale = document.getElementById('defaultScale');
+  const tilingMode = document.getElementById('tilingMode');
+  const tileSize = document.getElementById('tileSize');
+  const tileConcurrency = document.getElementById('tileConcurrency');
+  const providerRows = document.getElementById('providerRows');
+  const networkRetries = document.getElementById('networkRetries');
+  const timeoutRows = document.getElementById('timeoutRows');
+
+  const endpointUrl = document.getElementById('endpointUrl');
+  const endpointMethod = document.getElementById('endpointMethod');
+  const endpointAuth = document.getElementById('endpointAuth');
+  const endpointBody = document.getElementById('endpointBody');
+  const endpointImageField = document.getElementById('endpointImageField');
+  const endpointScaleField = document.getElementById('endpointScaleField');
+  const endpointResponse = document.getElementById('endpointResponse');
+  const endpointOutputPath = document.getElementById('endpointOutputPath');
+
+  const openAction = document.getElementById('openAction');
+  const originalTemplate = document.getElementById('originalTemplate');
+  const upscaleTemplate = document.getElementById('upscaleTemplate');
+  const originalPreview = document.getElementById('originalPreview');
+  const upscalePreview = document.getElementById('upscalePreview');
+  const conflictAction = document.getElementById('conflictAction');
+  const keepMetadata = document.getElementById('keepMetadata');
+
+  const thumbBadges = document.getElementById('thumbBadges');
+  const thumbActions = document.getElementById('thumbActions');
+  const thumbMinMegapixels = document.getElementById('thumbMinMegapixels');
+
+  const presetDefault = document.getElementById('presetDefault');
+  const presetEdit = document.getElementById('presetEdit');
+  const presetNewBtn = document.getElementById('presetNewBtn');
+  const presetDeleteBtn = document.getElementById('presetDeleteBtn');
+  const presetName = document.getElementById('presetName');
+  const presetUpscale = document.getElementById('presetUpscale');
+  const presetDecompress = document.getElementById('presetDecompress');
+  const presetPolish = document.getElementById('presetPolish');
+  const presetAdjustments = document.getElementById('presetAdjustments');
+  const presetBackground = document.getElementById('presetBackground');
+  const presetBackgroundColor = document.getElementById('presetBackgroundColor');
+  const presetPreview = document.getElementById('presetPreview');
+  const presetRestoreBtn = document.getElementById('presetRestoreBtn');
+
+  const usageRows = document.getElementById('usageRows');
+  const guardAutoStart = document.getElementById('guardAutoStart');
+  const guardConfirm = document.getElementById('guardConfirm');
+  const guardDailyCap = document.getElementById('guardDailyCap');
+  const guardMonthlyCap = document.getElementById('guardMonthlyCap');
+  const resetUsageBtn = document.getElementById('resetUsageBtn');
+
+  const historyEnabled = document.getElementById('historyEnabled');
+  const historyQuota = document.getElementById('historyQuota');
+  const historyUsage = document.getElementById('historyUsage');
+
+  const rewriteDefaults = document.getElementById('rewriteDefaults');
+  const rewriteRules = document.getElementById('rewriteRules');
+  const rewriteErrors = document.getElementById('rewriteErrors');
+  const rewriteTestUrl = document.getElementById('rewriteTestUrl');
+  const rewritePreview = document.getElementById('rewritePreview');
+
+  const saveBtn = document.getElementById('saveBtn');
+  const clearKeysBtn = document.getElementById('clearKeysBtn');
+  const saveStatus = document.getElementById('saveStatus');
+
+  const keyInputs = {};
+  const timeoutInputs = {};
+  const adjustmentInputs = {};
+
+  // Working copy of the preset list, saved with everything else
+  let presets = [];
+
+  /**
+   * Fill the scale dropdown with what the selected provider supports
+   */
+  function renderScaleOptions(selected) {
+    const adapter = HiResProviders.get(defaultProvider.value);
+    defaultScale.innerHTML = '';
+
+    adapter.scales.forEach(scale => {
+      const option = document.createElement('option');
+      option.value = scale;
+      option.textContent = `${scale}×`;
+      option.selected = scale === selected;
+      defaultScale.appendChild(option);
+    });
+  }
+
+  /**
+   * One row per provider: key field (if it needs one) and a Test button
+   */
+  function renderProviderRows(settings) {
+    HiResProviders.list().forEach(adapter => {
+      const option = document.createElement('option');
+      option.value = adapter.id;
+      option.textContent = adapter.label;
+      defaultProvider.appendChild(option);
+
+      const row = document.createElement('div');
+      row.className = 'field-row';
+
+      const label = document.createElement('label');
+      label.className = 'field-label';
+      label.textContent = adapter.label;
+      row.appendChild(label);
+
+      if (adapter.requiresKey) {
+        const input = document.createElement('input');
+        input.type = 'password';
+        input.autocomplete = 'off';
+        input.value = settings.providerKeys[adapter.id] || '';
+        input.placeholder = HiResSettings.hasBuiltInKey(adapter.id) ? 'Using built-in key' : `${adapter.site} API key`;
+        label.htmlFor = input.id = `key-${adapter.id}`;
+        keyInputs[adapter.id] = input;
+        row.appendChild(input);
+      } else {
+        const note = document.createElement('span');
+        note.className = 'field-label';
+        note.textContent = adapter.id === 'custom' ? 'Configured below' : 'No key needed';
+        row.appendChild(note);
+      }
+
+      const testBtn = document.createElement('button');
+      testBtn.className = 'btn btn-secondary';
+      testBtn.textContent = 'Test';
+      row.appendChild(testBtn);
+
+      const status = document.createElement('div');
+      status.className = 'field-note';
+      row.appendChild(status);
+
+      testBtn.addEventListener('click', () => testConnection(adapter, testBtn, status));
+      providerRows.appendChild(row);
+    });
+  }
+
+  /**
+   * A timeout field (seconds) per provider that makes network requests
+   */
+  function renderTimeoutRows(settings) {
+    HiResProviders.list()
+      .filter(adapter => adapter.id !== 'local')
+      .forEach(adapter => {
+        const row = document.createElement('div');
+        row.className = 'field-row';
+
+        const label = document.createElement('label');
+        label.className = 'field-label';
+        label.textContent = `${adapter.label} (s)`;
+
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = '5';
+        input.max = '3600';
+        input.placeholder = `Default ${Math.round(HiResProviders.defaultTimeout(adapter) / 1000)}`;
+        input.value = settings.network.timeouts[adapter.id] || '';
+        label.htmlFor = input.id = `timeout-${adapter.id}`;
+        timeoutInputs[adapter.id] = input;
+
+        row.append(label, input, document.createElement('span'));
+        timeoutRows.appendChild(row);
+      });
+  }
+
+  function readNetwork() {
+    const timeouts = {};
+    Object.entries(timeoutInputs).forEach(([id, input]) => {
+      const seconds = parseInt(input.value, 10);
+      if (seconds > 0) timeouts[id] = Math.min(3600, Math.max(5, seconds));
+    });
+    return {
+      retries: Math.min(6, Math.max(0, parseInt(networkRetries.value, 10) || 0)),
+      timeouts
+    };
+  }
+
+  /**
+   * Build the option lists and one number field per Claid adjustment
+   */
+  function setupPresetEditor() {
+    Object.entries(HiResPresets.UPSCALE_MODES).forEach(([value, label]) => {
+      presetUpscale.add(new Option(label, value));
+    });
+    HiResPresets.DECOMPRESS_LEVELS.forEach(level => {
+      presetDecompress.add(new Option(level === 'off' ? 'Off' : level[0].toUpperCase() + level.slice(1), level));
+    });
+
+    Object.entries(HiResPresets.ADJUSTMENTS).forEach(([key, range]) => {
+      const row = document.createElement('div');
+      row.className = 'field-row';
+
+      const label = document.createElement('label');
+      label.className = 'field-label';
+      label.textContent = key === 'hdr' ? 'HDR' : key[0].toUpperCase() + key.slice(1);
+
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = range.min;
+      input.max = range.max;
+      label.htmlFor = input.id = `preset-${key}`;
+      adjustmentInputs[key] = input;
+
+      const note = document.createElement('span');
+      note.className = 'field-label';
+      note.textContent = `${range.min} to ${range.max}`;
+
+      row.append(label, input, note);
+      presetAdjustments.appendChild(row);
+    });
+
+    [presetName, presetUpscale, presetDecompress, presetPolish, presetBackground, presetBackgroundColor,
+      ...Object.values(adjustmentInputs)].forEach(input => {
+      input.addEventListener('input', handlePresetInput);
+    });
+    presetEdit.addEventListener('change', () => fillPresetEditor());
+    presetNewBtn.addEventListener('click', handleNewPreset);
+    presetDeleteBtn.addEventListener('click', handleDeletePreset);
+    presetRestoreBtn.addEventListener('click', handleRestorePresets);
+  }
+
+  /**
+   * Refill both preset dropdowns, keeping their selections where possible
+   */
+  function renderPresetLists(defaultId = presetDefault.value, editId = presetEdit.value) {
+    [presetDefault, presetEdit].forEach(select => {
+      select.innerHTML = '';
+      presets.forEach(preset => select.add(new Option(preset.name || preset.id, preset.id)));
+    });
+    presetDefault.value = presets.some(p => p.id === defaultId) ? defaultId : presets[0].id;
+    presetEdit.value = presets.some(p => p.id === editId) ? editId : presets[0].id;
+    presetDeleteBtn.disabled = presets.length < 2;
+  }
+
+  function editedPreset() {
+    return presets.find(p => p.id === presetEdit.value);
+  }
+
+  function fillPresetEditor() {
+    const preset = editedPreset();
+    presetName.value = preset.name;
+    presetUpscale.value = preset.upscale;
+    presetDecompress.value = preset.decompress;
+    presetPolish.checked = preset.polish;
+    Object.entries(adjustmentInputs).forEach(([key, input]) => { input.value = preset[key]; });
+    presetBackground.value = preset.background;
+    presetBackgroundColor.value = preset.backgroundColor;
+    renderPresetPreview(preset);
+  }
+
+  function renderPresetPreview(preset) {
+    presetBackgroundColor.disabled = preset.background !== 'color';
+    presetPreview.textContent = JSON.stringify(HiResPresets.toClaidOperations(preset, 2), null, 2);
+  }
+
+  /**
+   * Write the editor fields back into the working copy
+   */
+  function handlePresetInput() {
+    const index = presets.indexOf(editedPreset());
+    const adjustments = {};
+    Object.entries(adjustmentInputs).forEach(([key, input]) => { adjustments[key] = input.value; });
+
+    presets[index] = HiResPresets.normalize({
+      id: presets[index].id,
+      name: presetName.value,
+      upscale: presetUpscale.value,
+      decompress: presetDecompress.value,
+      polish: presetPolish.checked,
+      ...adjustments,
+      background: presetBackground.value,
+      backgroundColor: presetBackgroundColor.value
+    });
+
+    presetEdit.selectedOptions[0].textContent = presets[index].name || presets[index].id;
+    const defaultOption = [...presetDefault.options].find(o => o.value === presets[index].id);
+    defaultOption.textContent = presets[index].name || presets[index].id;
+    renderPresetPreview(presets[index]);
+  }
+
+  function handleNewPreset() {
+    const preset = HiResPresets.normalize({ ...editedPreset(), id: `preset-${Date.now().toString(36)}`, name: 'New preset' });
+    presets.push(preset);
+    renderPresetLists(presetDefault.value, preset.id);
+    fillPresetEditor();
+    presetName.select();
+  }
+
+  function handleDeletePreset() {
+    if (presets.length < 2) return;
+    presets = presets.filter(p => p !== editedPreset());
+    renderPresetLists();
+    fillPresetEditor();
+  }
+
+  function handleRestorePresets() {
+    if (!confirm('Replace your presets with the built-in ones?')) return;
+    presets = HiResPresets.BUILT_IN.map(HiResPresets.normalize);
+    renderPresetLists();
+    fillPresetEditor();
+  }
+
+  /**
+   * Presets to store - none while the list is still the built-in one, so updates reach it
+   */
+  function readPresets() {
+    const builtIn = HiResPresets.BUILT_IN.map(HiResPresets.normalize);
+    const unchanged = JSON.stringify(presets) === JSON.stringify(builtIn);
+    return {
+      selected: presetDefault.value,
+      items: unchanged ? [] : presets.map(preset => ({ ...preset, name: preset.name || preset.id }))
+    };
+  }
+
+  function readTiling() {
+    const clamp = (value, min, max, fallback) => Math.min(max, Math.max(min, parseInt(value, 10) || fallback));
+    const defaults = HiResSettings.DEFAULTS.tiling;
+    return {
+      ...defaults,
+      mode: tilingMode.value,
+      tileSize: clamp(tileSize.value, 256, 4096, defaults.tileSize),
+      concurrency: clamp(tileConcurrency.value, 1, 8, defaults.concurrency)
+    };
+  }
+
+  function fillTiling(tiling) {
+    tilingMode.value = tiling.mode;
+    tileSize.value = tiling.tileSize;
+    tileConcurrency.value = tiling.concurrency;
+  }
+
+  /**
+   * Read the custom endpoint fields
+   */
+  function readEndpoint() {
+    const [bodyType, jsonImage = 'base64'] = endpointBody.value.split('-');
+    return {
+      url: endpointUrl.value.trim(),
+      method: endpointMethod.value,
+      authHeader: endpointAuth.value.trim(),
+      bodyType,
+      jsonImage,
+      imageField: endpointImageField.value.trim() || 'image',
+      scaleField: endpointScaleField.value.trim() || 'scale',
+      responseType: endpointResponse.value,
+      outputPath: endpointOutputPath.value.trim()
+    };
+  }
+
+  function fillEndpoint(endpoint) {
+    endpointUrl.value = endpoint.url;
+    endpointMethod.value = endpoint.method;
+    endpointAuth.value = endpoint.authHeader;
+    endpointBody.value = endpoint.bodyType === 'json' ? `json-${endpoint.jsonImage}` : 'multipart';
+    endpointImageField.value = endpoint.imageField;
+    endpointScaleField.value = endpoint.scaleField;
+    endpointResponse.value = endpoint.responseType;
+    endpointOutputPath.value = endpoint.outputPath;
+  }
+
+  // Sample values for the file name previews
+  const PREVIEW_ORIGINAL = HiResDownloads.describe('https://images.example.com/photos/mountain-lake.jpg', {
+    query: 'mountain lake'
+  });
+  const PREVIEW_UPSCALED = HiResDownloads.describe('https://images.example.com/photos/mountain-lake.jpg', {
+    query: 'mountain lake', width: 3840, height: 2560, scale: 2, provider: 'claid', ext: 'png'
+  });
+
+  function renderTemplatePreviews() {
+    originalPreview.textContent = HiResDownloads.buildFilename(originalTemplate.value, PREVIEW_ORIGINAL);
+    upscalePreview.textContent = HiResDownloads.buildFilename(upscaleTemplate.value, PREVIEW_UPSCALED);
+  }
+
+  function readDownloads() {
+    return {
+      originalTemplate: originalTemplate.value.trim() || HiResSettings.DEFAULTS.downloads.originalTemplate,
+      upscaleTemplate: upscaleTemplate.value.trim() || HiResSettings.DEFAULTS.downloads.upscaleTemplate,
+      conflictAction: conflictAction.value,
+      openAction: openAction.value,
+      keepMetadata: keepMetadata.checked
+    };
+  }
+
+  function fillDownloads(downloads) {
+    originalTemplate.value = downloads.originalTemplate;
+    upscaleTemplate.value = downloads.upscaleTemplate;
+    conflictAction.value = downloads.conflictAction;
+    openAction.value = downloads.openAction;
+    keepMetadata.checked = downloads.keepMetadata;
+    renderTemplatePreviews();
+  }
+
+  function readThumbnails() {
+    return {
+      badges: thumbBadges.checked,
+      actions: thumbActions.checked,
+      minMegapixels: Math.max(0, parseFloat(thumbMinMegapixels.value) || 0)
+    };
+  }
+
+  function fillThumbnails(thumbnails) {
+    thumbBadges.checked = thumbnails.badges;
+    thumbActions.checked = thumbnails.actions;
+    thumbMinMegapixels.value = thumbnails.minMegapixels || '';
+  }
+
+  /**
+   * One row per provider that has been used
+   */
+  async function renderUsage() {
+    const { today, month, total } = await HiResUsage.summary();
+    usageRows.innerHTML = '';
+
+    const providers = Object.keys(total);
+    if (providers.length === 0) {
+      const row = usageRows.insertRow();
+      const cell = row.insertCell();
+      cell.colSpan = 7;
+      cell.textContent = 'No upscales yet';
+      return;
+    }
+
+    providers.forEach(id => {
+      const adapter = HiResProviders.get(id);
+      const all = total[id];
+      const thisMonth = month[id];
+      const cost = thisMonth?.unit
+        ? `${+thisMonth.cost.toFixed(thisMonth.unit === 'USD' ? 3 : 1)} ${thisMonth.unit}`
+        : '—';
+
+      const row = usageRows.insertRow();
+      [
+        adapter ? adapter.label : id,
+        today[id]?.calls || 0,
+        thisMonth?.calls || 0,
+        all.calls,
+        `${all.byScale[2] || 0} / ${all.byScale[4] || 0}`,
+        all.megapixels.toFixed(1),
+        cost
+      ].forEach(value => { row.insertCell().textContent = value; });
+    });
+  }
+
+  function readGuards() {
+    return {
+      autoStart: guardAutoStart.checked,
+      confirmLargeScale: guardConfirm.checked,
+      dailyCap: Math.max(0, parseInt(guardDailyCap.value, 10) || 0),
+      monthlyCap: Math.max(0, parseInt(guardMonthlyCap.value, 10) || 0)
+    };
+  }
+
+  function fillGuards(guards) {
+    guardAutoStart.checked = guards.autoStart;
+    guardConfirm.checked = guards.confirmLargeScale;
+    guardDailyCap.value = guards.dailyCap || '';
+    guardMonthlyCap.value = guards.monthlyCap || '';
+  }
+
+  async function handleResetUsage() {
+    if (!confirm('Reset all usage counts? Caps start counting from zero.')) return;
+    await HiResUsage.reset();
+    renderUsage();
+  }
+
+  function readHistory() {
+    return {
+      enabled: historyEnabled.checked,
+      quotaMB: Math.max(50, parseInt(historyQuota.value, 10) || HiResSettings.DEFAULTS.history.quotaMB)
+    };
+  }
+
+  async function fillHistory(history) {
+    historyEnabled.checked = history.enabled;
+    historyQuota.value = history.quotaMB;
+
+    const { count, bytes } = await HiResHistory.usage();
+    historyUsage.textContent = `${count} stored · ${(bytes / 1024 / 1024).toFixed(1)} MB used`;
+  }
+
+  function readRewrite() {
+    return {
+      useDefaults: rewriteDefaults.checked,
+      rules: HiResRewrite.parse(rewriteRules.value).rules
+    };
+  }
+
+  function fillRewrite(rewrite) {
+    rewriteDefaults.checked = rewrite.useDefaults;
+    rewriteRules.value = HiResRewrite.format(rewrite.rules);
+    renderRewritePreview();
+  }
+
+  /**
+   * Show rule errors and what the sample URL rewrites to
+   */
+  function renderRewritePreview() {
+    const { errors } = HiResRewrite.parse(rewriteRules.value);
+    rewriteErrors.className = errors.length ? 'field-note fail' : 'field-note';
+    rewriteErrors.textContent = errors.join(' · ');
+
+    const url = rewriteTestUrl.value.trim();
+    if (!url) {
+      rewritePreview.textContent = '';
+      return;
+    }
+    const rules = HiResRewrite.activeRules({ rewrite: readRewrite() });
+    const [best] = HiResRewrite.candidates(url, rules);
+    rewritePreview.className = best !== url ? 'field-note ok' : 'field-note';
+    rewritePreview.textContent = best !== url ? `→ ${best}` : 'No rule matches';
+  }
+
+  /**
+   * Validate the form before saving
+   */
+  function validateForm(endpoint) {
+    if (endpoint.url) {
+      try {
+        new URL(endpoint.url);
+      } catch {
+        return 'Custom endpoint URL is not valid.';
+      }
+    }
+    if (endpoint.authHeader && !/^[\w-]+\s*:/.test(endpoint.authHeader)) {
+      return 'Auth header must look like "Header-Name: value".';
+    }
+    if (endpoint.responseType === 'json' && !endpoint.outputPath) {
+      return 'Set the output JSON path, or choose raw image bytes.';
+    }
+    const unknownToken = [originalTemplate.value, upscaleTemplate.value]
+      .flatMap(template => [...template.matchAll(/\{(\w+)\}/g)].map(m => m[1]))
+      .find(token => !HiResDownloads.TOKENS.includes(token));
+    if (unknownToken) {
+      return `Unknown file name token {${unknownToken}}.`;
+    }
+    const [ruleError] = HiResRewrite.parse(rewriteRules.value).errors;
+    if (ruleError) {
+      return `Rewrite rule - ${ruleError}.`;
+    }
+    if (defaultProvider.value === 'custom' && !endpoint.url) {
+      return 'Set the custom endpoint URL before making it the default.';
+    }
+    return null;
+  }
+
+  /**
+   * Make one tiny validation call with the values currently in the form
+   */
+  async function testConnection(adapter, button, status) {
+    const typedKey = keyInputs[adapter.id]?.value.trim();
+    const settings = await HiResSettings.load();
+
+    button.disabled = true;
+    status.className = 'field-note';
+    status.textContent = 'Testing...';
+
+    try {
+      await HiResProviders.validate(adapter.id, {
+        key: typedKey || HiResSettings.keyFor(settings, adapter.id),
+        endpoint: readEndpoint()
+      });
+      status.className = 'field-note ok';
+      status.textContent = 'Connection OK';
+    } catch (error) {
+      status.className = 'field-note fail';
+      status.textContent = error.message;
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  function flashStatus(message, isError) {
+    saveStatus.textContent = message;
+    saveStatus.style.color = isError ? 'var(--error)' : 'var(--success)';
+    if (!isError) {
+      setTimeout(() => { saveStatus.textContent = ''; }, 2500);
+    }
+  }
+
+  /**
+   * Save all settings
+   */
+  async function handleSave() {
+    const endpoint = readEndpoint();
+    const problem = validateForm(endpoint);
+    if (problem) {
+      flashStatus(problem, true);
+      return;
+    }
+
+    const providerKeys = {};
+    Object.entries(keyInputs).forEach(([id, input]) => {
+      const key = input.value.trim();
+      if (key) providerKeys[id] = key;
+    });
+
+    await HiResSettings.save({
+      defaultProvider: defaultProvider.value,
+      defaultScale: parseInt(defaultScale.value, 10),
+      providerKeys,
+      presets: readPresets(),
+      network: readNetwork(),
+      tiling: readTiling(),
+      guards: readGuards(),
+      customEndpoint: endpoint,
+      downloads: readDownloads(),
+      thumbnails: readThumbnails(),
+      history: readHistory(),
+      rewrite: readRewrite()
+    });
+
+    // A lower limit applies right away
+    const history = readHistory();
+    const evicted = await HiResHistory.enforceQuota(history.quotaMB * 1024 * 1024);
+    fillHistory(history);
+    flashStatus(evicted ? `Saved · ${evicted} old upscales removed` : 'Saved');
+  }
+
+  /**
+   * Remove every stored key
+   */
+  async function handleClearKeys() {
+    if (!confirm('Remove all stored API keys?')) return;
+
+    await HiResSettings.clearKeys();
+    Object.values(keyInputs).forEach(input => { input.value = ''; });
+    flashStatus('Keys cleared');
+  }
+
+  /**
+   * Initialize
+   */
+  async function init() {
+    const settings = await HiResSettings.load();
+
+    renderProviderRows(settings);
+    renderTimeoutRows(settings);
+    setupPresetEditor();
+    presets = HiResPresets.list(settings);
+    renderPresetLists(HiResPresets.get(settings, settings.presets.selected).id);
+    fillPresetEditor();
+    networkRetries.value = settings.network.retries;
+    defaultProvider.value = HiResProviders.get(settings.defaultProvider)
+      ? settings.defaultProvider
+      : HiResSettings.DEFAULTS.defaultProvider;
+    renderScaleOptions(settings.defaultScale);
+    fillTiling(settings.tiling);
+    fillGuards(settings.guards);
+    renderUsage();
+    fillEndpoint(settings.customEndpoint);
+    fillDownloads(settings.downloads);
+    fillThumbnails(settings.thumbnails);
+    fillHistory(settings.history);
+    fillRewrite(settings.rewrite);
+
+    defaultProvider.addEventListener('change', () => renderScaleOptions(parseInt(defaultScale.value, 10)));
+    originalTemplate.addEventListener('input', renderTemplatePreviews);
+    upscaleTemplate.addEventListener('input', renderTemplatePreviews);
+    [rewriteDefaults, rewriteRules, rewriteTestUrl].forEach(input => {
+      input.addEventListener('input', renderRewritePreview);
+    });
+    saveBtn.addEventListener('click', handleSave);
+    clearKeysBtn.addEventListener('click', handleClearKeys);
+    resetUsageBtn.addEventListener('click', handleResetUsage);
+  }
+
+  init();
+})();
@@ -12,20 +12,106 @@
   const sourceFooter = document.getElementById('sourceFooter');
   const sourceDimensions = document.getElementById('sourceDimensions');
   const sourceFormat = document.getElementById('sourceFormat');
+  const sourceBadge = document.getElementById('sourceBadge');
+  const sourceCrop = document.getElementById('sourceCrop');
+  const cropMeta = document.getElementById('cropMeta');
+  const cropTools = document.getElementById('cropTools');
+  const cropBtn = document.getElementById('cropBtn');
+  const cropAspect = document.getElementById('cropAspect');
+  const cropClearBtn = document.getElementById('cropClearBtn');
 
   const outputPlaceholder = document.getElementById('outputPlaceholder');
   const loadingState = document.getElementById('loadingState');
+  const loadingDetail = document.getElementById('loadingDetail');
+  const loadingElapsed = document.getElementById('loadingElapsed');
+  const cancelBtn = document.getElementById('cancelBtn');
   const outputFrame = document.getElementById('outputFrame');
 
   const processBtn = document.getElementById('processBtn');
   const downloadBtn = document.getElementById('downloadBtn');
+  const compareBtn = document.getElementById('compareBtn');
+
+  const compareOverlay = document.getElementById('compareOverlay');
+  const comparePlan = document.getElementById('comparePlan');
+  const compareProviders = document.getElementById('compareProviders');
+  const compareGrid = document.getElementById('compareGrid');
+  const compareRunBtn = document.getElementById('compareRunBtn');
+  const compareCancelBtn = document.getElementById('compareCancelBtn');
+  const compareCloseBtn = document.getElementById('compareCloseBtn');
+
+  const exportPanel = document.getElementById('exportPanel');
+  const exportFormat = document.getElementById('exportFormat');
+  const exportQuality = document.getElementById('exportQuality');
+  const exportQualityValue = document.getElementById('exportQualityValue');
+  const exportAlpha = document.getElementById('exportAlpha');
+  const exportBackground = document.getElementById('exportBackground');
+  const exportMaxEdge = document.getElementById('exportMaxEdge');
+  const exportEstimate = document.getElementById('exportEstimate');
+  const exportBtn = document.getElementById('exportBtn');
+  const exportBtnLabel = document.getElementById('exportBtnLabel');
+  const queueStrip = document.getElementById('queueStrip');
+  const queueItems = document.getElementById('queueItems');
+  const addImagesBtn = document.getElementById('addImagesBtn');
+  const processAllBtn = document.getElementById('processAllBtn');
+  const fileInput = document.getElementById('fileInput');
   const configNotice = document.getElementById('configNotice');
   const configureLink = document.getElementById('configureLink');
   const scaleButtons = document.querySelectorAll('.scale-btn');
+  const presetSelect = document.getElementById('presetSelect');
+  const targetControls = document.getElementById('targetControls');
+  const targetKind = document.getElementById('targetKind');
+  const targetFactor = document.getElementById('targetFactor');
+  const targetWidth = document.getElementById('targetWidth');
+  const targetHeight = document.getElementById('targetHeight');
+  const targetEdge = document.getElementById('targetEdge');
+  const targetPrintWidth = document.getElementById('targetPrintWidth');
+  const targetPrintHeight = document.getElementById('targetPrintHeight');
+  const targetDpi = document.getElementById('targetDpi');
+  const targetCommon = document.getElementById('targetCommon');
+  const targetSummary = document.getElementById('targetSummary');
+
+  const compareViewer = HiResCompareViewer.create({
+    workspace: document.querySelector('.workspace'),
+    sourceViewport: document.getElementById('sourceViewport'),
+    outputViewport: document.getElementById('outputViewport'),
+    toolbar: document.getElementById('viewToolbar'),
+    zoomLevel: document.getElementById('zoomLevel')
+  });
+
+  const cropTool = HiResCropTool.create({ frame: sourceFrame, onChange: handleCropChange });
+
+  // Images waiting, running or done: { id, url, file, name, query, crop, status, result, outputUrl }.
+  // `file` is the Blob for local images and null for web URLs; `crop` is the region to send, or null.
+  const queue = [];
+  let nextQueueId = 1;
+  let source = null;
+  let batchRunning = false;
+
+  // The full source <img>; a cropped result is compared against its region instead
+  let sourceImage = null;
+  let cropping = false;
 
-  let originalImageUrl = null;
   let upscaledImageUrl = null;
+  let lastResult = null;
+  // 2, 4, or 'custom' for the target controls
   let selectedScale = 2;
+  let selectedPreset = null;
+  let sourceSize = { width: 0, height: 0 };
+
+  // The running job's AbortController, and the timer ticking its elapsed time
+  let activeJob = null;
+  let elapsedTimer = null;
+
+  // Provider comparison runs: [{ api, job, error, status, progress, elapsed, result, img, region, size }]
+  let compareRuns = [];
+  let compareJob = null;
+
+  // Opened by "Upscale N× and save" in the context menu: run unattended in a background tab
+  const quickSave = new URLSearchParams(window.location.search).get('then') === 'save';
+
+  // Latest export encode: { key, promise } - reused by Save when the options haven't changed
+  let exportJob = null;
+  let exportTimer = null;
 
   /**
    * Get image URL from query parameter
@@ -35,6 +121,13 @@
     return params.get('img');
   }
 
+  /**
+   * Search terms of the page the image came from, if any
+   */
+  function getSearchQueryFromParams() {
+    return new URLSearchParams(window.location.search).get('q') || '';
+  }
+
   /**
    * Extract format from URL
    */
@@ -44,40 +137,212 @@
   }
 
   /**
-   * Load and display the source image
+   * Format of a queue item, from the file type or the URL
    */
-  function loadSourceImage(url) {
-    originalImageUrl = url;
+  function getSourceFormat(item) {
+    return item.file ? item.file.type.replace('image/', '').toUpperCase() : getImageFormat(item.url);
+  }
 
-    const img = document.createElement('img');
-    img.src = url;
-    img.alt = 'Source image';
+  /**
+   * Load and display a source image
+   * @returns {Promise<void>} Resolves once it is shown, rejects if it can't load
+   */
+  function loadSourceImage(item) {
+    return new Promise((resolve, reject) => {
+      const img = document.createElement('img');
+      img.src = item.url;
+      img.alt = 'Source image';
 
-    img.onload = function() {
-      sourcePlaceholder.style.display = 'none';
-      sourceFrame.innerHTML = '';
-      sourceFrame.appendChild(img);
-      sourceFrame.style.display = 'flex';
-      sourceFooter.style.display = 'block';
+      img.onload = function() {
+        if (source !== item) return;
+        sourcePlaceholder.style.display = 'none';
+        sourceFrame.innerHTML = '';
+        sourceFrame.appendChild(img);
+        sourceFrame.style.display = 'flex';
+        sourceFooter.style.display = 'block';
+        sourceImage = img;
+        cropTool.attach(img, item.crop);
+        cropTools.hidden = false;
+        syncCropControls();
+
+        sourceSize = { width: img.naturalWidth, height: img.naturalHeight };
+        sourceDimensions.textContent = `${img.naturalWidth} × ${img.naturalHeight}`;
+        sourceFormat.textContent = getSourceFormat(item);
 
-      sourceDimensions.textContent = `${img.naturalWidth} × ${img.naturalHeight}`;
-      sourceFormat.textContent = getImageFormat(url);
+        processBtn.disabled = false;
+        compareBtn.disabled = false;
+        renderPlanSummary();
+        resolve();
+      };
 
-      processBtn.disabled = false;
+      img.onerror = function() {
+        if (source === item) {
+          cropTools.hidden = true;
+          sourceFrame.style.display = 'none';
+          sourcePlaceholder.style.display = '';
+          sourcePlaceholder.innerHTML = `
+            <div class="error-state">
+              <div class="error-icon">⚠️</div>
+              <div class="error-title">Failed to load image</div>
+              <div class="error-detail">${escapeHtml(item.name.substring(0, 60))}</div>
+            </div>
+          `;
+        }
+        reject(new Error('Failed to load the source image'));
+      };
+    });
+  }
 
-      // Auto-start upscaling at 2x
-      handleProcess();
-    };
+  // --- QUEUE: pasted, dropped, picked and linked images ---
 
-    img.onerror = function() {
-      sourcePlaceholder.innerHTML = `
-        <div class="error-state">
-          <div class="error-icon">⚠️</div>
-          <div class="error-title">Failed to load image</div>
-          <div class="error-detail">${escapeHtml(url.substring(0, 60))}...</div>
-        </div>
-      `;
-    };
+  /**
+   * Add images to the queue
+   * @param {Array<{url: string, file: Blob|null, name: string, query?: string}>} items
+   * @returns {Array<Object>} The new queue items
+   */
+  function addToQueue(items) {
+    const added = items.map(item => ({
+      id: nextQueueId++,
+      query: '',
+      crop: null,
+      ...item,
+      status: 'pending',
+      result: null,
+      outputUrl: null
+    }));
+    queue.push(...added);
+    renderQueue();
+    return added;
+  }
+
+  /**
+   * Pasted, dropped or picked images: queue them, and show the first unless a job is running
+   */
+  function handleNewImages(items) {
+    const added = addToQueue(items);
+    if (!activeJob && !batchRunning) {
+      selectSource(added[0]).catch(() => {});
+    }
+  }
+
+  /**
+   * Show a queue item: its source, and its output if it has been upscaled
+   */
+  async function selectSource(item) {
+    if (activeJob) return;
+
+    source = item;
+    sourceImage = null;
+    sourceSize = { width: 0, height: 0 };
+    processBtn.disabled = true;
+    compareBtn.disabled = true;
+    resetOutput();
+    renderQueue();
+
+    await loadSourceImage(item);
+    if (source === item && item.result) {
+      const { url, cropUrl } = item.result;
+      showOutput(item.result, await loadImage(url), cropUrl && await loadImage(cropUrl, 'Source region'));
+    }
+  }
+
+  function removeFromQueue(item) {
+    if (item.status === 'running') return;
+
+    queue.splice(queue.indexOf(item), 1);
+    if (item.file) URL.revokeObjectURL(item.url);
+
+    if (source === item) {
+      source = null;
+      const next = queue[0];
+      if (next) {
+        selectSource(next).catch(() => {});
+      } else {
+        showEmptySource();
+      }
+    }
+    renderQueue();
+  }
+
+  /**
+   * Thumbnails of every queued image with its status
+   */
+  function renderQueue() {
+    queueStrip.hidden = queue.length === 0;
+    queueItems.innerHTML = '';
+
+    queue.forEach(item => {
+      const thumb = document.createElement('button');
+      thumb.className = `queue-item ${item.status}${item === source ? ' active' : ''}`;
+      thumb.title = `${item.name} · ${item.status}`;
+      thumb.disabled = Boolean(activeJob) && item !== source;
+      thumb.addEventListener('click', () => selectSource(item).catch(() => {}));
+
+      const img = document.createElement('img');
+      img.src = item.url;
+      img.alt = '';
+
+      const remove = document.createElement('span');
+      remove.className = 'queue-remove';
+      remove.textContent = '×';
+      remove.title = 'Remove from queue';
+      remove.addEventListener('click', (e) => {
+        e.stopPropagation();
+        removeFromQueue(item);
+      });
+
+      thumb.append(img, remove);
+      queueItems.appendChild(thumb);
+    });
+
+    const pending = queue.filter(item => item.status === 'pending' || item.status === 'failed').length;
+    processAllBtn.hidden = queue.length < 2;
+    processAllBtn.disabled = pending === 0 || Boolean(activeJob);
+    processAllBtn.textContent = batchRunning ? 'Processing queue...' : `Process all (${pending})`;
+  }
+
+  /**
+   * Upscale every image not done yet, one after another
+   */
+  async function handleProcessAll() {
+    if (activeJob || batchRunning) return;
+    batchRunning = true;
+
+    for (const item of queue.filter(entry => entry.status === 'pending' || entry.status === 'failed')) {
+      if (!batchRunning || !queue.includes(item)) continue;
+      try {
+        await selectSource(item);
+      } catch {
+        item.status = 'failed';
+        continue;
+      }
+      await handleProcess();
+    }
+
+    batchRunning = false;
+    renderQueue();
+  }
+
+  /**
+   * The standalone workspace: nothing loaded yet
+   */
+  function showEmptySource() {
+    sourceImage = null;
+    cropTools.hidden = true;
+    sourceFrame.style.display = 'none';
+    sourceFooter.style.display = 'none';
+    processBtn.disabled = true;
+    compareBtn.disabled = true;
+    resetOutput('Waiting for image...');
+    sourcePlaceholder.style.display = '';
+    sourcePlaceholder.innerHTML = `
+      <div class="placeholder-icon">🖼</div>
+      <div class="placeholder-text">
+        Paste an image, drop files here,<br>or right-click any image on the web
+      </div>
+      <button class="btn btn-secondary" data-action="choose">Choose files</button>
+    `;
+    sourcePlaceholder.querySelector('[data-action="choose"]').addEventListener('click', () => fileInput.click());
   }
 
   /**
@@ -86,39 +351,442 @@
   function setupScaleSelector() {
     scaleButtons.forEach(btn => {
       btn.addEventListener('click', () => {
-        scaleButtons.forEach(b => b.classList.remove('active'));
-        btn.classList.add('active');
-        selectedScale = parseInt(btn.dataset.scale, 10);
+        selectScale(btn.dataset.scale === 'custom' ? 'custom' : parseInt(btn.dataset.scale, 10));
       });
     });
   }
 
-  // Default API config
-  const DEFAULT_API = 'claid';
-  const DEFAULT_KEY = 'b176fab7d37647a1bb785e0ee2193540';
+  /**
+   * Read the configured provider (or the one asked for) and its key (see options page)
+   */
+  async function getApiConfig(provider) {
+    const settings = await HiResSettings.load();
+    const api = provider || settings.defaultProvider;
+    return { api, key: HiResSettings.keyFor(settings, api), endpoint: settings.customEndpoint, settings };
+  }
+
+  // --- CROP: upscale only a region of the source ---
+
+  function handleCropChange(rect) {
+    if (!source) return;
+    source.crop = rect;
+    syncCropControls();
+    renderPlanSummary();
+  }
+
+  function syncCropControls() {
+    const crop = source?.crop;
+    cropBtn.classList.toggle('active', cropping);
+    cropClearBtn.hidden = !crop;
+    cropMeta.hidden = !crop;
+    sourceCrop.textContent = crop ? `${crop.width} × ${crop.height} at ${crop.x}, ${crop.y}` : '—';
+    sourceBadge.textContent = crop ? 'Region' : 'Original';
+  }
+
+  /**
+   * Start or stop editing the region; editing takes the source back from the compare viewer
+   */
+  function setCropping(on) {
+    cropping = on;
+    if (on) {
+      compareViewer.hide();
+      restoreSourceImage();
+    }
+    cropTool.setEditing(on);
+    syncCropControls();
+  }
+
+  /**
+   * Put the full source and its region overlay back after comparing
+   */
+  function restoreSourceImage() {
+    if (!sourceImage) return;
+    sourceFrame.replaceChildren(sourceImage);
+    cropTool.attach(sourceImage, source.crop);
+  }
+
+  function setupCropTool() {
+    HiResCropTool.ASPECTS.forEach(({ id, label }) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = label;
+      cropAspect.appendChild(option);
+    });
+
+    cropBtn.addEventListener('click', () => setCropping(!cropping));
+    cropAspect.addEventListener('change', () => cropTool.setAspect(cropAspect.value));
+    cropClearBtn.addEventListener('click', () => cropTool.clear());
+
+    document.addEventListener('keydown', (event) => {
+      if (!sourceImage || !compareOverlay.hidden || event.metaKey || event.ctrlKey || event.altKey) return;
+      if (/^(INPUT|SELECT|TEXTAREA)$/.test(event.target.tagName)) return;
+      if (event.key.toLowerCase() === 'c') setCropping(!cropping);
+      if (event.key === 'Escape' && cropping) setCropping(false);
+    });
+  }
 
   /**
-   * Upscale image using API
+   * Work out how a job will run: provider, credentials, the output size, and the
+   * provider passes (each possibly tiled) plus final resample that reach it
+   * @param {Object} target - See lib/targets.js
+   * @param {string} [provider] - Provider id; the default provider if omitted
    */
-  async function upscaleImage(imageUrl, scale) {
-    // Check for stored API configuration, fall back to built-in key
-    const config = await chrome.storage.sync.get(['upscaleApi', 'apiKey']);
-    const api = config.upscaleApi || DEFAULT_API;
-    const key = config.apiKey || DEFAULT_KEY;
+  async function planJob(target, provider) {
+    const config = await getApiConfig(provider);
+    const adapter = HiResProviders.get(config.api);
+    const { settings } = config;
+    if (!adapter) {
+      throw new Error(`Unknown upscaling provider "${config.api}". Reconfigure the API.`);
+    }
 
-    // API integration
-    switch (api) {
-      case 'claid':
-        return await upscaleWithClaid(imageUrl, scale, key);
-      case 'replicate':
-        return await upscaleWithReplicate(imageUrl, scale, key);
-      case 'deepai':
-        return await upscaleWithDeepAI(imageUrl, scale, key);
-      case 'fal':
-        return await upscaleWithFal(imageUrl, scale, key);
-      default:
-        return await upscaleWithClaid(imageUrl, scale, key);
+    // Only the region is sent when there is one
+    const crop = source?.crop || null;
+    const input = crop || sourceSize;
+    const output = HiResTargets.resolve(target, input.width, input.height);
+    if (output.factor <= 1) {
+      throw new Error(`The ${crop ? 'region' : 'source'} is already ${input.width} × ${input.height}, at or above the target`);
     }
+
+    let { width, height } = input;
+    const passes = HiResTargets.passes(output.factor, adapter.scales).map(scale => {
+      const tiled = HiResTiling.shouldTile(adapter, width, height, scale, settings);
+      const calls = tiled
+        ? HiResTiling.plan(width, height, HiResTiling.tileSizeFor(adapter, settings), settings.tiling.overlap).length
+        : 1;
+      const pass = { scale, width, height, tiled, calls };
+      width *= scale;
+      height *= scale;
+      return pass;
+    });
+
+    return {
+      ...config,
+      adapter,
+      target,
+      crop,
+      output,
+      passes,
+      scale: passes.reduce((product, pass) => product * pass.scale, 1),
+      resample: width !== output.width || height !== output.height,
+      calls: passes.reduce((sum, pass) => sum + pass.calls, 0),
+      preset: adapter.presets ? HiResPresets.get(settings, selectedPreset) : null,
+      timeout: HiResSettings.timeoutFor(settings, config.api),
+      retries: settings.network.retries
+    };
+  }
+
+  /**
+   * One line on what a job will do, e.g. "→ 3840 × 2160 · 2× + resample via Claid.ai"
+   * or "Region 400 × 300 → 1600 × 1200 · 4× via Claid.ai"
+   */
+  function describePlan(job) {
+    const steps = job.passes.map(pass => `${pass.scale}×`);
+    if (job.resample) steps.push('resample');
+    const region = job.crop ? `Region ${job.crop.width} × ${job.crop.height} ` : '';
+    const via = job.passes.length ? ` via ${job.adapter.label}` : '';
+    const calls = job.calls > job.passes.length ? ` · ${job.calls} calls` : '';
+    return `${region}→ ${job.output.width} × ${job.output.height} · ${steps.join(' + ')}${via}${calls}`;
+  }
+
+  /**
+   * Run a planned job: each provider pass feeds the next, then an exact-size resample
+   */
+  async function upscaleImage(item, job, signal, onProgress = (message) => { loadingDetail.textContent = message; }) {
+    // The source's own bytes (local files need no fetch), and the metadata to write back on download
+    const original = item.file || await getSourceBlob(item.url, signal);
+    const metadata = await HiResMetadata.read(original).catch(() => null);
+
+    // Rotated photos are turned upright first; a provider fetching the URL would get them sideways
+    let blob = original;
+    if (metadata?.orientation > 1) {
+      onProgress('Applying EXIF orientation');
+      blob = await HiResMetadata.applyOrientation(original);
+    }
+    let input = {
+      imageUrl: item.file || blob !== original ? null : item.url,
+      blob,
+      getBlob: async () => blob
+    };
+    let result = null;
+
+    // A region is cut out locally and sent as a blob; its URL is kept to compare against
+    let cropUrl = null;
+    if (job.crop) {
+      onProgress(`Cropping to ${job.crop.width} × ${job.crop.height}`);
+      const blob = await HiResCropTool.crop(await input.getBlob(), job.crop);
+      cropUrl = URL.createObjectURL(blob);
+      input = { imageUrl: null, blob, getBlob: async () => blob };
+    }
+
+    for (const [index, pass] of job.passes.entries()) {
+      const prefix = job.passes.length > 1 ? `Pass ${index + 1} of ${job.passes.length} (${pass.scale}×) · ` : '';
+      // Adjustments and background apply once; later passes only upscale with the same model
+      const preset = index === 0 || !job.preset
+        ? job.preset
+        : HiResPresets.normalize({ id: job.preset.id, name: job.preset.name, upscale: job.preset.upscale });
+
+      result = await upscalePass(input, pass, { ...job, preset }, signal, (message) => onProgress(prefix + message));
+
+      if (index < job.passes.length - 1 || job.resample) {
+        const blob = await getResultBlob(result, signal);
+        if (result.url.startsWith('blob:')) URL.revokeObjectURL(result.url);
+        input = { imageUrl: null, blob, getBlob: async () => blob };
+      }
+    }
+
+    if (job.resample) {
+      onProgress(`Resampling to ${job.output.width} × ${job.output.height}`);
+      const resampled = await HiResTargets.resample(await input.getBlob(), job.output.width, job.output.height);
+      result = { provider: result ? result.provider : 'resample', isDemo: false, ...resampled };
+    }
+
+    return { ...result, cropUrl, metadata };
+  }
+
+  /**
+   * One provider pass, in tiles when it is too large for one request
+   */
+  async function upscalePass(input, pass, job, signal, onProgress) {
+    const { api, adapter, key, endpoint, settings, preset, timeout, retries } = job;
+
+    if (pass.tiled) {
+      return await upscaleTiled(adapter, input, pass.scale, { key, endpoint, settings, preset, timeout, retries, signal, onProgress });
+    }
+
+    return await callProvider(api, {
+      imageUrl: input.imageUrl,
+      blob: input.blob,
+      getBlob: input.getBlob,
+      scale: pass.scale,
+      key,
+      endpoint,
+      preset,
+      width: pass.width,
+      height: pass.height,
+      timeout,
+      retries,
+      signal,
+      onProgress
+    });
+  }
+
+  /**
+   * One provider call, counted in the usage stats
+   */
+  async function callProvider(id, options) {
+    const result = await HiResProviders.upscale(id, options);
+    HiResUsage.record({ provider: id, scale: options.scale, width: options.width, height: options.height })
+      .catch(error => console.warn('HiRes: Could not record usage:', error));
+    return result;
+  }
+
+  /**
+   * Estimated cost of a whole job, e.g. "2 credits", or null for free providers
+   */
+  function estimateJobCost(job) {
+    if (!job.adapter.pricing) return null;
+    const { amount, unit } = HiResUsage.estimateCost(job.adapter);
+    return `${+(amount * job.calls).toFixed(4)} ${unit}`;
+  }
+
+  /**
+   * Whether the 4× guard applies: a 4× (or larger, chained) job on a paid provider
+   */
+  function needsConfirmation(job) {
+    return job.settings.guards.confirmLargeScale && job.scale >= 4 && HiResUsage.isPaid(job.api);
+  }
+
+  /**
+   * Ask before a large job, when that guard is on
+   */
+  function confirmLargeJob(job) {
+    if (!needsConfirmation(job)) return true;
+    return confirm(
+      `Upscale with ${job.adapter.label}: ${describePlan(job)}?\n` +
+      `Estimated cost: ${estimateJobCost(job)}`
+    );
+  }
+
+  /**
+   * Split the source into overlapping tiles, upscale a few at a time and stitch them
+   */
+  async function upscaleTiled(adapter, input, scale, { key, endpoint, settings, preset, timeout, retries, signal, onProgress }) {
+    const tileSize = HiResTiling.tileSizeFor(adapter, settings);
+    let status = '';
+
+    const result = await HiResTiling.upscale(input.blob || await input.getBlob(), scale, {
+      tileSize,
+      overlap: settings.tiling.overlap,
+      concurrency: settings.tiling.concurrency,
+      signal,
+      onProgress: (done, total, running) => {
+        status = `Tiled upscaling via ${adapter.label} · ${done} of ${total} tiles done` +
+          (running ? ` · ${running} in progress` : '');
+        onProgress(status);
+      },
+      upscaleTile: async (blob, tile) => {
+        const output = await callProvider(adapter.id, {
+          imageUrl: null,
+          blob,
+          scale,
+          key,
+          endpoint,
+          preset,
+          width: tile.width,
+          height: tile.height,
+          timeout,
+          retries,
+          signal,
+          onProgress: (message) => onProgress(`${status} · tile ${tile.index + 1}: ${message}`)
+        });
+        if (output.blob) return output.blob;
+
+        const response = await fetch(output.url, { signal });
+        if (!response.ok) throw new Error(`Could not fetch upscaled tile (HTTP ${response.status})`);
+        return await response.blob();
+      }
+    });
+
+    return { ...result, provider: adapter.id, isDemo: false };
+  }
+
+  /**
+   * Preselect the scale asked for in the URL (history re-runs), else the default from settings.
+   * A factor without a button becomes a custom target.
+   */
+  async function applyDefaultScale() {
+    const { defaultScale, target } = await HiResSettings.load();
+    const requested = parseFloat(new URLSearchParams(window.location.search).get('scale'));
+    const hasButton = (scale) => [...scaleButtons].some(b => b.dataset.scale === String(scale));
+
+    fillTarget(target);
+    if (requested > 1 && !hasButton(requested)) {
+      selectScale('custom');
+      targetKind.value = 'factor';
+      targetFactor.value = requested;
+      syncTargetFields();
+    } else {
+      selectScale(requested > 1 ? requested : defaultScale);
+    }
+  }
+
+  function selectScale(scale) {
+    selectedScale = scale;
+    scaleButtons.forEach(b => b.classList.toggle('active', b.dataset.scale === String(scale)));
+    targetControls.style.display = scale === 'custom' ? '' : 'none';
+    renderPlanSummary();
+  }
+
+  /**
+   * What the scale bar asks for: a button's factor, or the custom target
+   */
+  function currentTarget() {
+    return selectedScale === 'custom' ? readTarget() : { kind: 'factor', factor: selectedScale };
+  }
+
+  function readTarget() {
+    const number = (input) => parseFloat(input.value) || 0;
+    return {
+      kind: targetKind.value,
+      factor: number(targetFactor),
+      width: number(targetWidth),
+      height: number(targetHeight),
+      edge: number(targetEdge),
+      printWidth: number(targetPrintWidth),
+      printHeight: number(targetPrintHeight),
+      dpi: number(targetDpi)
+    };
+  }
+
+  function fillTarget(target) {
+    targetKind.value = target.kind;
+    targetFactor.value = target.factor;
+    targetWidth.value = target.width;
+    targetHeight.value = target.height;
+    targetEdge.value = target.edge;
+    targetPrintWidth.value = target.printWidth;
+    targetPrintHeight.value = target.printHeight;
+    targetDpi.value = target.dpi;
+    syncTargetFields();
+  }
+
+  /**
+   * Show only the fields the chosen target kind uses
+   */
+  function syncTargetFields() {
+    targetControls.querySelectorAll('[data-kinds]').forEach(element => {
+      element.style.display = element.dataset.kinds.split(' ').includes(targetKind.value) ? '' : 'none';
+    });
+  }
+
+  function setupTargetControls() {
+    HiResTargets.COMMON.forEach((size, index) => {
+      targetCommon.add(new Option(size.label, index));
+    });
+
+    targetCommon.addEventListener('change', () => {
+      const size = HiResTargets.COMMON[targetCommon.value];
+      targetCommon.value = '';
+      if (!size) return;
+      fillTarget({ ...readTarget(), ...size });
+      saveTarget();
+    });
+    targetKind.addEventListener('change', syncTargetFields);
+    targetControls.addEventListener('input', renderPlanSummary);
+    // Remembered between jobs; on change only, to stay inside storage.sync write quotas
+    targetControls.addEventListener('change', saveTarget);
+  }
+
+  function saveTarget() {
+    renderPlanSummary();
+    HiResSettings.save({ target: readTarget() });
+  }
+
+  /**
+   * Show what the current selection will produce, and how
+   */
+  async function renderPlanSummary() {
+    if (!sourceSize.width) return;
+    try {
+      targetSummary.textContent = describePlan(await planJob(currentTarget()));
+      targetSummary.classList.remove('invalid');
+    } catch (error) {
+      targetSummary.textContent = error.message;
+      targetSummary.classList.add('invalid');
+    }
+  }
+
+  /**
+   * Preselect the preset asked for in the URL (menu entries, re-runs), else the default
+   */
+  async function applyDefaultPreset() {
+    const settings = await HiResSettings.load();
+    const requested = new URLSearchParams(window.location.search).get('preset');
+    selectedPreset = HiResPresets.get(settings, requested).id;
+  }
+
+  /**
+   * Offer the presets when the configured provider applies them
+   */
+  async function syncPresets() {
+    const { settings, api } = await getApiConfig();
+    const adapter = HiResProviders.get(api);
+    const presets = HiResPresets.list(settings);
+
+    presetSelect.innerHTML = '';
+    presets.forEach(preset => {
+      const option = document.createElement('option');
+      option.value = preset.id;
+      option.textContent = preset.name;
+      option.title = HiResPresets.describe(preset);
+      presetSelect.appendChild(option);
+    });
+
+    // An edited list may no longer have the selected preset
+    selectedPreset = HiResPresets.get(settings, selectedPreset).id;
+    presetSelect.value = selectedPreset;
+    presetSelect.title = HiResPresets.describe(HiResPresets.get(settings, selectedPreset));
+    presetSelect.style.display = adapter?.presets ? '' : 'none';
   }
 
   /**
@@ -161,237 +829,251 @@
   }
 
   /**
-   * Upscale using Claid.ai API (Recommended for fidelity)
-   * Best for: photos, products, faces - preserves textures without hallucinations
-   * Uses multipart upload endpoint since Claid doesn't accept base64 in JSON input
+   * Get the source's original bytes for upload - same encoding, colour profile and EXIF.
+   * Extension pages can read any host directly; some hosts only serve the image with their
+   * cookies. The canvas route re-encodes as PNG and loses metadata, so it is the last resort.
    */
-  async function upscaleWithClaid(imageUrl, scale, apiKey) {
-    // Calculate percentage for scaling (2x = 200%, 4x = 400%)
-    const scalePercent = `${scale * 100}%`;
-
-    // Build the operations config
-    const operationsData = {
-      operations: {
-        restorations: {
-          upscale: 'smart_enhance'
-        },
-        resizing: {
-          width: scalePercent,
-          height: scalePercent,
-          fit: 'bounds'
-        }
-      },
-      output: {
-        format: 'png'
+  async function getSourceBlob(url, signal) {
+    let lastError;
+    for (const credentials of ['same-origin', 'include']) {
+      try {
+        // The studio has just shown this image, so it is usually cached
+        const response = await fetch(url, { signal, credentials, cache: 'force-cache' });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const blob = await response.blob();
+        // Error pages and login walls often come back as HTML with a 200
+        if (blob.type.startsWith('text/')) throw new Error(`Got ${blob.type} instead of an image`);
+        return blob;
+      } catch (fetchError) {
+        if (signal?.aborted) throw signal.reason;
+        lastError = fetchError;
       }
-    };
-
-    // Try multipart upload first (works with any image source)
-    try {
-      const imageBlob = await imageUrlToBlob(imageUrl);
-      console.log('Converted image to blob for upload');
-
-      const formData = new FormData();
-      formData.append('file', imageBlob, 'image.png');
-      formData.append('data', JSON.stringify(operationsData));
-
-      const response = await fetch('https://api.claid.ai/v1/image/edit/upload', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${apiKey}`
-        },
-        body: formData
-      });
-
-      const result = await response.json();
-      console.log('Claid API response:', result);
+    }
 
-      // Handle errors
-      if (!response.ok || result.error) {
-        const errMsg = result.error?.message || result.message || '';
-        if (errMsg.includes('credit') || errMsg.includes('limit') || response.status === 402) {
-          throw new Error('Out of credits! Visit claid.ai to add more.');
-        }
-        if (response.status === 401 || response.status === 403) {
-          throw new Error('Invalid API key. Check your Claid.ai key.');
-        }
-        throw new Error(errMsg || `Claid.ai error (${response.status})`);
-      }
+    console.warn('Direct fetch failed, converting via canvas:', lastError);
+    return await imageUrlToBlob(url);
+  }
 
-      // Extract URL from response - handle different response formats
-      const outputUrl = result.data?.output?.tmp_url ||
-                        result.data?.output?.url ||
-                        result.output?.tmp_url ||
-                        result.output?.url ||
-                        result.tmp_url ||
-                        result.url;
-
-      if (!outputUrl) {
-        console.error('Unexpected API response structure:', result);
-        throw new Error('Unexpected API response format');
-      }
+  /**
+   * Handle process button click
+   * @returns {Promise<boolean>} Whether the current image was upscaled
+   */
+  async function handleProcess() {
+    const item = source;
+    if (!item || activeJob) return false;
 
-      return { url: outputUrl, isDemo: false };
-
-    } catch (uploadError) {
-      // If blob conversion fails (CORS), try direct URL approach
-      console.warn('Multipart upload failed, trying direct URL:', uploadError);
-
-      const response = await fetch('https://api.claid.ai/v1/image/edit', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          input: imageUrl,
-          ...operationsData
-        })
-      });
+    let job;
+    let blocked;
+    try {
+      job = await planJob(currentTarget());
+      blocked = await HiResUsage.checkCaps(job.settings, job.api, job.calls);
+    } catch (error) {
+      blocked = error.message;
+    }
+    // A quick save waiting on a question would otherwise sit unseen in the background
+    if (quickSave && !blocked && needsConfirmation(job)) await revealTab();
+    if (!blocked && !confirmLargeJob(job)) return false;
 
-      const result = await response.json();
-      console.log('Claid API response (URL mode):', result);
+    // Show loading state
+    if (cropping) setCropping(false);
+    resetOutput();
+    outputPlaceholder.style.display = 'none';
+    loadingState.classList.add('active');
+    processBtn.disabled = true;
 
-      if (!response.ok || result.error) {
-        const errMsg = result.error?.message || result.message || '';
-        if (errMsg.includes('credit') || errMsg.includes('limit') || response.status === 402) {
-          throw new Error('Out of credits! Visit claid.ai to add more.');
-        }
-        if (response.status === 401 || response.status === 403) {
-          throw new Error('Invalid API key. Check your Claid.ai key.');
-        }
-        throw new Error(errMsg || `Claid.ai error (${response.status})`);
-      }
+    if (blocked) {
+      item.status = 'failed';
+      renderQueue();
+      showError(blocked);
+      return false;
+    }
 
-      const outputUrl = result.data?.output?.tmp_url ||
-                        result.data?.output?.url ||
-                        result.output?.tmp_url ||
-                        result.output?.url ||
-                        result.tmp_url ||
-                        result.url;
+    const { api, adapter } = job;
+    loadingDetail.textContent = api === 'local'
+      ? 'On-device upscaling (ESRGAN, CPU)'
+      : `AI-powered upscaling via ${adapter ? adapter.label : api}`;
 
-      if (!outputUrl) {
-        console.error('Unexpected API response structure:', result);
-        throw new Error('Unexpected API response format');
-      }
+    const controller = startJob();
+    item.status = 'running';
+    renderQueue();
 
-      return { url: outputUrl, isDemo: false };
+    try {
+      const result = toResult(await upscaleImage(item, job, controller.signal), job);
+      const img = await loadImage(result.url);
+      const region = result.cropUrl && await loadImage(result.cropUrl, 'Source region');
+
+      // A cancelled job has already been cleared from the screen
+      if (controller.signal.aborted) return false;
+      finishJob(controller);
+
+      item.status = 'done';
+      item.result = result;
+      showOutput(result, img, region);
+      await saveToHistory(item, result, img);
+      return true;
+    } catch (error) {
+      if (controller.signal.aborted) return false;
+      finishJob(controller);
+      item.status = 'failed';
+      showError(error.message);
+      return false;
+    } finally {
+      renderQueue();
     }
   }
 
   /**
-   * Upscale using Replicate API (Real-ESRGAN)
+   * What is kept of a finished job: the output plus how it was made
    */
-  async function upscaleWithReplicate(imageUrl, scale, apiKey) {
-    const response = await fetch('https://api.replicate.com/v1/predictions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Token ${apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        version: 'nightmareai/real-esrgan:42fed1c4974146d4d2414e2be2c5277c7fcf05fcc3a73abf41610695738c1d7b',
-        input: { image: imageUrl, scale: scale }
-      })
+  function toResult(upscaled, job) {
+    return {
+      ...upscaled,
+      // The overall factor, e.g. 2.02 for 1900 px → 3840 px
+      scale: Math.round((job.output.width / (job.crop || sourceSize).width) * 100) / 100,
+      preset: job.preset && { id: job.preset.id, name: job.preset.name },
+      crop: job.crop
+    };
+  }
+
+  function loadImage(url, alt = 'Upscaled image') {
+    return new Promise((resolve, reject) => {
+      const img = document.createElement('img');
+      img.alt = alt;
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error(`Failed to load ${alt.toLowerCase()}`));
+      img.src = url;
     });
+  }
 
-    const prediction = await response.json();
+  /**
+   * Display a finished upscale with its download, export and compare tools
+   * @param {HTMLImageElement} [region] - The cropped source, compared instead of the full image
+   */
+  function showOutput(result, img, region) {
+    lastResult = result;
+    upscaledImageUrl = result.url;
 
-    // Poll for result
-    let result = prediction;
-    while (result.status !== 'succeeded' && result.status !== 'failed') {
-      await new Promise(r => setTimeout(r, 1000));
-      const pollResponse = await fetch(prediction.urls.get, {
-        headers: { 'Authorization': `Token ${apiKey}` }
-      });
-      result = await pollResponse.json();
-    }
+    loadingState.classList.remove('active');
+    outputPlaceholder.style.display = 'none';
+    outputFrame.innerHTML = '';
+    outputFrame.appendChild(img);
+    outputFrame.style.display = 'flex';
+    downloadBtn.style.display = 'flex';
+    exportPanel.style.display = 'flex';
+    processBtn.disabled = false;
+    scheduleExportEstimate();
 
-    if (result.status === 'failed') {
-      throw new Error(result.error || 'Upscaling failed');
-    }
+    if (cropping) setCropping(false);
+    cropTool.detach();
+    if (region) sourceFrame.replaceChildren(region);
+    compareViewer.show(region || sourceImage, img);
 
-    return { url: result.output, isDemo: false };
+    // Hide config notice - API works out of the box
+    configNotice.style.display = 'none';
   }
 
   /**
-   * Upscale using DeepAI API
+   * Clear the output panel back to its placeholder
    */
-  async function upscaleWithDeepAI(imageUrl, scale, apiKey) {
-    const formData = new FormData();
-    formData.append('image', imageUrl);
-
-    const response = await fetch('https://api.deepai.org/api/torch-srgan', {
-      method: 'POST',
-      headers: { 'api-key': apiKey },
-      body: formData
-    });
-
-    const result = await response.json();
-    if (result.err) throw new Error(result.err);
-
-    return { url: result.output_url, isDemo: false };
+  function resetOutput(message = 'Press Process Image to upscale') {
+    compareViewer.hide();
+    restoreSourceImage();
+    lastResult = null;
+    upscaledImageUrl = null;
+    exportJob = null;
+    loadingState.classList.remove('active');
+    outputFrame.style.display = 'none';
+    outputFrame.innerHTML = '';
+    downloadBtn.style.display = 'none';
+    exportPanel.style.display = 'none';
+    outputPlaceholder.querySelector('.placeholder-text').textContent = message;
+    outputPlaceholder.style.display = '';
   }
 
   /**
-   * Upscale using fal.ai API
+   * Track a new job: its AbortController and the elapsed-time label
    */
-  async function upscaleWithFal(imageUrl, scale, apiKey) {
-    const response = await fetch('https://fal.run/fal-ai/real-esrgan', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Key ${apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({ image_url: imageUrl, scale: scale })
-    });
+  function startJob() {
+    const controller = new AbortController();
+    const started = Date.now();
+    activeJob = controller;
+
+    const tick = () => {
+      const seconds = Math.floor((Date.now() - started) / 1000);
+      loadingElapsed.textContent = `Processing · ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    };
+    tick();
+    clearInterval(elapsedTimer);
+    elapsedTimer = setInterval(tick, 1000);
 
-    const result = await response.json();
-    if (result.error) throw new Error(result.error);
+    return controller;
+  }
 
-    return { url: result.image.url, isDemo: false };
+  function finishJob(controller) {
+    if (activeJob !== controller) return;
+    activeJob = null;
+    clearInterval(elapsedTimer);
   }
 
   /**
-   * Handle process button click
+   * Abort the running job - in-flight requests, retries, polling and remaining tiles
    */
-  async function handleProcess() {
-    if (!originalImageUrl) return;
-
-    // Show loading state
-    outputPlaceholder.style.display = 'none';
-    outputFrame.style.display = 'none';
-    loadingState.classList.add('active');
-    processBtn.disabled = true;
-    downloadBtn.style.display = 'none';
+  function handleCancel() {
+    const controller = activeJob;
+    if (!controller) return;
 
-    try {
-      const result = await upscaleImage(originalImageUrl, selectedScale);
-      upscaledImageUrl = result.url;
+    controller.abort();
+    finishJob(controller);
+    batchRunning = false;
 
-      // Create and load upscaled image
-      const img = document.createElement('img');
-      img.src = result.url;
-      img.alt = 'Upscaled image';
+    const item = queue.find(entry => entry.status === 'running');
+    if (item) item.status = 'pending';
+    renderQueue();
 
-      img.onload = function() {
-        loadingState.classList.remove('active');
-        outputFrame.innerHTML = '';
-        outputFrame.appendChild(img);
-        outputFrame.style.display = 'flex';
-        downloadBtn.style.display = 'flex';
-        processBtn.disabled = false;
+    resetOutput('Cancelled · press Process Image to try again');
+    processBtn.disabled = false;
+  }
 
-        // Hide config notice - API works out of the box
-        configNotice.style.display = 'none';
-      };
+  /**
+   * The upscaled image as a Blob, fetched once from the provider's URL if needed
+   */
+  async function getResultBlob(result, signal) {
+    if (!result.blob) {
+      const response = await fetch(result.url, { signal });
+      if (!response.ok) throw new Error(`Could not fetch the upscaled image (HTTP ${response.status})`);
+      result.blob = await response.blob();
+    }
+    return result.blob;
+  }
 
-      img.onerror = function() {
-        showError('Failed to load upscaled image');
-      };
+  /**
+   * Keep the finished job in the history library - provider URLs expire
+   */
+  async function saveToHistory(item, result, output) {
+    const { history } = await HiResSettings.load();
+    if (!history.enabled) return;
 
+    try {
+      // Downloads from History carry the metadata too
+      const blob = await withMetadata(await getResultBlob(result), result);
+
+      await HiResHistory.add({
+        // Local files have no URL to go back to
+        sourceUrl: item.file ? '' : item.url,
+        sourceName: item.name,
+        query: item.query,
+        provider: result.provider,
+        scale: result.scale,
+        preset: result.preset,
+        crop: result.crop,
+        width: output.naturalWidth,
+        height: output.naturalHeight,
+        sourceWidth: sourceSize.width,
+        sourceHeight: sourceSize.height,
+        blob
+      });
     } catch (error) {
-      showError(error.message);
+      console.warn('HiRes: Could not save to history:', error);
     }
   }
 
@@ -411,70 +1093,563 @@
     processBtn.disabled = false;
   }
 
+  /**
+   * File name variables from the current source: its URL, or a local file's own name
+   */
+  function sourceVars() {
+    if (!source.file) return { sourceUrl: source.url, query: source.query };
+    return { name: source.name.replace(/\.[^.]+$/, ''), query: source.query };
+  }
+
+  /**
+   * The source's colour profile and selected EXIF/XMP written into an output, when that setting is on
+   */
+  async function withMetadata(blob, result) {
+    const { downloads } = await HiResSettings.load();
+    if (!downloads.keepMetadata || !result.metadata) return blob;
+    try {
+      return await HiResMetadata.embed(blob, result.metadata);
+    } catch (error) {
+      console.warn('HiRes: Could not write metadata:', error);
+      return blob;
+    }
+  }
+
+  /**
+   * Save a result as the provider returned it, plus the source's metadata
+   */
+  async function downloadResult(result, output) {
+    const blob = await withMetadata(await getResultBlob(result), result);
+    const url = URL.createObjectURL(blob);
+    const downloadId = await HiResDownloads.download(url, 'upscaled', {
+      ...sourceVars(),
+      width: output?.naturalWidth,
+      height: output?.naturalHeight,
+      scale: result.scale,
+      provider: result.provider,
+      ext: HiResDownloads.MIME_EXTENSIONS[blob.type]
+    });
+    // The download has its own copy once started
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+    return downloadId;
+  }
+
   /**
    * Handle download
    */
-  function handleDownload() {
-    if (!upscaledImageUrl) return;
-    window.open(upscaledImageUrl, '_blank');
+  async function handleDownload() {
+    if (!upscaledImageUrl || !lastResult) return;
+
+    try {
+      await downloadResult(lastResult, outputFrame.querySelector('img'));
+    } catch (error) {
+      showError(`Download failed: ${error.message}`);
+    }
+  }
+
+  // --- QUICK SAVE: "Upscale N× and save" from the context menu ---
+
+  /**
+   * Bring this tab to the front when a quick save needs the user
+   */
+  async function revealTab() {
+    const tab = await chrome.tabs.getCurrent();
+    if (tab) await chrome.tabs.update(tab.id, { active: true });
   }
 
   /**
-   * Show API configuration prompt
+   * Upscale with the scale and preset from the URL, save the result and close the tab.
+   * Caps, the 4× guard, tiling, metadata and History all apply as for Process Image;
+   * on any failure the tab stays open with the error and comes to the front.
    */
-  function showApiConfig(e) {
-    e?.preventDefault();
+  async function runQuickSave() {
+    const title = document.title;
+    document.title = `Upscaling… · ${title}`;
 
-    const input = prompt(
-      'Configure Upscaling API\n\n' +
-      'Supported services:\n' +
-      '• Claid.ai (claid.ai) - Recommended\n' +
-      '• Replicate (replicate.com)\n' +
-      '• fal.ai (fal.ai)\n' +
-      '• DeepAI (deepai.org)\n\n' +
-      'Format: service:api_key\n' +
-      'Example: claid:your_api_key'
+    if (!await handleProcess()) {
+      document.title = title;
+      revealTab();
+      return;
+    }
+
+    try {
+      const downloadId = await downloadResult(lastResult, outputFrame.querySelector('img'));
+      // Closing the tab revokes the blob: URL the download reads from
+      if (await HiResDownloads.whenDone(downloadId) !== 'complete') {
+        throw new Error('The download was interrupted');
+      }
+      const tab = await chrome.tabs.getCurrent();
+      chrome.tabs.remove(tab.id);
+    } catch (error) {
+      document.title = title;
+      showError(`Download failed: ${error.message}`);
+      revealTab();
+    }
+  }
+
+  // --- COMPARE: the same image through several providers at once ---
+
+  /**
+   * Whether a provider can run with the current settings: a key where one is needed,
+   * an endpoint for the custom provider
+   */
+  function isConfigured(settings, adapter) {
+    if (adapter.requiresKey) return Boolean(HiResSettings.keyFor(settings, adapter.id));
+    if (adapter.id === 'custom') return Boolean(settings.customEndpoint.url);
+    return true;
+  }
+
+  /**
+   * Open the comparison with the configured providers to pick from
+   */
+  async function openCompare() {
+    if (!source || !sourceSize.width || activeJob) return;
+
+    const settings = await HiResSettings.load();
+    const configured = HiResProviders.list().filter(adapter => isConfigured(settings, adapter));
+    const ticked = settings.compare.providers.length ? settings.compare.providers : configured.map(adapter => adapter.id);
+
+    compareProviders.innerHTML = '';
+    configured.forEach(adapter => {
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = adapter.id;
+      checkbox.checked = ticked.includes(adapter.id);
+      label.append(checkbox, adapter.label);
+      compareProviders.appendChild(label);
+    });
+
+    const region = source.crop ? ` · region ${source.crop.width} × ${source.crop.height}` : '';
+    comparePlan.textContent = `${HiResTargets.describe(currentTarget())}${region}`;
+    clearCompareRuns();
+    compareRunBtn.hidden = false;
+    compareCancelBtn.hidden = true;
+    compareOverlay.hidden = false;
+  }
+
+  function checkedProviders() {
+    return [...compareProviders.querySelectorAll('input:checked')].map(input => input.value);
+  }
+
+  /**
+   * Ask once for the whole run, listing the jobs the 4× guard applies to
+   */
+  function confirmCompare(jobs) {
+    const large = jobs.filter(needsConfirmation);
+    if (!large.length) return true;
+    return confirm(
+      `Compare ${jobs.length} providers? These are large jobs on paid providers:\n` +
+      large.map(job => `${job.adapter.label}: ${describePlan(job)} · ${estimateJobCost(job)}`).join('\n')
     );
+  }
 
-    if (input && input.includes(':')) {
-      const [api, ...keyParts] = input.split(':');
-      const key = keyParts.join(':').trim();
-      chrome.storage.sync.set({
-        upscaleApi: api.trim().toLowerCase(),
-        apiKey: key
-      }, () => {
-        configNotice.style.display = 'block';
-        configNotice.innerHTML = `
-          <strong style="color: var(--success)">API Configured!</strong>
-          Using ${api.trim()} for upscaling.
-        `;
+  /**
+   * Plan every ticked provider, then run them all in parallel
+   */
+  async function runCompare() {
+    const item = source;
+    const providers = checkedProviders();
+    if (!item || activeJob) return;
+    if (providers.length < 2) {
+      comparePlan.textContent = 'Tick at least two providers to compare';
+      return;
+    }
+
+    const target = currentTarget();
+    const settings = await HiResSettings.load();
+    const runs = await Promise.all(providers.map(async (api) => {
+      try {
+        return { api, job: await planJob(target, api), status: 'pending' };
+      } catch (error) {
+        return { api, error: error.message, status: 'failed' };
+      }
+    }));
+
+    // The caps cover the whole run, not each provider on its own
+    let paidCalls = 0;
+    for (const run of runs.filter(entry => entry.job)) {
+      const blocked = await HiResUsage.checkCaps(settings, run.api, paidCalls + run.job.calls);
+      if (blocked) {
+        run.error = blocked;
+        run.status = 'failed';
+      } else if (HiResUsage.isPaid(run.api)) {
+        paidCalls += run.job.calls;
+      }
+    }
+    if (!confirmCompare(runs.filter(run => !run.error).map(run => run.job))) return;
+
+    const controller = startJob();
+    compareJob = controller;
+    compareRunBtn.hidden = true;
+    compareCancelBtn.hidden = false;
+    processBtn.disabled = true;
+    clearCompareRuns();
+    compareRuns = runs;
+    renderCompareGrid();
+
+    await Promise.all(runs.filter(run => !run.error).map(run => runCompareJob(item, run, controller.signal)));
+
+    if (compareJob === controller) {
+      finishJob(controller);
+      compareJob = null;
+      compareRunBtn.hidden = false;
+      compareCancelBtn.hidden = true;
+      processBtn.disabled = false;
+    }
+  }
+
+  /**
+   * One provider's part of the comparison, timed from the first request to the finished image
+   */
+  async function runCompareJob(item, run, signal) {
+    const started = performance.now();
+    run.status = 'running';
+    renderCompareCard(run);
+
+    try {
+      const result = toResult(await upscaleImage(item, run.job, signal, (message) => {
+        run.progress = message;
+        renderCompareCard(run);
+      }), run.job);
+      run.elapsed = performance.now() - started;
+      run.result = result;
+      run.size = (await getResultBlob(result, signal)).size;
+      run.img = await loadImage(result.url);
+      run.region = result.cropUrl && await loadImage(result.cropUrl, 'Source region');
+      run.status = 'done';
+    } catch (error) {
+      run.status = signal.aborted ? 'cancelled' : 'failed';
+      run.error = signal.aborted ? 'Cancelled' : error.message;
+    }
+    if (compareRuns.includes(run)) renderCompareCard(run);
+  }
+
+  function renderCompareGrid() {
+    compareGrid.innerHTML = '';
+    compareRuns.forEach(run => {
+      run.card = document.createElement('div');
+      compareGrid.appendChild(run.card);
+      renderCompareCard(run);
+    });
+  }
+
+  /**
+   * A provider's card: progress while it runs, then the result with its numbers
+   */
+  function renderCompareCard(run) {
+    const adapter = HiResProviders.get(run.api);
+    const card = run.card;
+    card.className = `compare-card ${run.status}`;
+    card.innerHTML = '';
+
+    const thumb = document.createElement('div');
+    thumb.className = 'compare-thumb';
+    if (run.status === 'done') {
+      thumb.appendChild(run.img.cloneNode());
+    } else {
+      thumb.textContent = run.error || run.progress || (run.status === 'running' ? 'Starting...' : 'Waiting...');
+    }
+
+    const name = document.createElement('div');
+    name.className = 'compare-name';
+    name.textContent = adapter ? adapter.label : run.api;
+
+    const stats = document.createElement('div');
+    stats.className = 'compare-stats';
+    const cost = run.job ? estimateJobCost(run.job) || 'free' : '—';
+    const values = run.status === 'done'
+      ? [`${(run.elapsed / 1000).toFixed(1)} s`, `${run.img.naturalWidth} × ${run.img.naturalHeight}`, formatBytes(run.size), cost]
+      : ['—', run.job ? `${run.job.output.width} × ${run.job.output.height}` : '—', '—', cost];
+    values.forEach(text => {
+      const span = document.createElement('span');
+      span.textContent = text;
+      stats.appendChild(span);
+    });
+    stats.title = 'Time · output size · file size · estimated cost';
+
+    card.append(thumb, name, stats);
+
+    if (run.status === 'done') {
+      const actions = document.createElement('div');
+      actions.className = 'compare-card-actions';
+
+      const keepBtn = document.createElement('button');
+      keepBtn.className = 'btn btn-primary';
+      keepBtn.textContent = 'Keep';
+      keepBtn.title = 'Use this result in the studio and save it to History';
+      keepBtn.addEventListener('click', () => keepCompareRun(run));
+
+      const downloadRunBtn = document.createElement('button');
+      downloadRunBtn.className = 'btn btn-secondary';
+      downloadRunBtn.textContent = 'Download';
+      downloadRunBtn.addEventListener('click', () => {
+        downloadResult(run.result, run.img).catch(error => alert(`Download failed: ${error.message}`));
+      });
+
+      actions.append(keepBtn, downloadRunBtn);
+      card.appendChild(actions);
+    }
+  }
+
+  /**
+   * The winner becomes the studio's output, as if it had been processed on its own
+   */
+  function keepCompareRun(run) {
+    const item = source;
+    compareRuns = compareRuns.filter(entry => entry !== run);
+    closeCompare();
+
+    item.status = 'done';
+    item.result = run.result;
+    renderQueue();
+    showOutput(run.result, run.img, run.region);
+    saveToHistory(item, run.result, run.img);
+  }
+
+  function cancelCompare() {
+    if (!compareJob) return;
+    const controller = compareJob;
+    compareJob = null;
+    controller.abort();
+    finishJob(controller);
+
+    compareRunBtn.hidden = false;
+    compareCancelBtn.hidden = true;
+    processBtn.disabled = false;
+  }
+
+  /**
+   * Drop the runs and free their images (except a kept one)
+   */
+  function clearCompareRuns() {
+    compareRuns.forEach(run => {
+      [run.result?.url, run.result?.cropUrl].forEach(url => {
+        if (url?.startsWith('blob:')) URL.revokeObjectURL(url);
+      });
+    });
+    compareRuns = [];
+    compareGrid.innerHTML = '';
+  }
+
+  function closeCompare() {
+    cancelCompare();
+    clearCompareRuns();
+    compareOverlay.hidden = true;
+  }
+
+  function setupCompare() {
+    compareBtn.addEventListener('click', openCompare);
+    compareRunBtn.addEventListener('click', runCompare);
+    compareCancelBtn.addEventListener('click', cancelCompare);
+    compareCloseBtn.addEventListener('click', closeCompare);
+    compareProviders.addEventListener('change', () => {
+      HiResSettings.save({ compare: { providers: checkedProviders() } });
+    });
+    document.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape' && !compareOverlay.hidden) closeCompare();
+    });
+  }
+
+  // --- EXPORT: local re-encoding of the result ---
+
+  function formatBytes(bytes) {
+    return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  }
+
+  function readExportOptions() {
+    return {
+      format: exportFormat.value,
+      quality: parseInt(exportQuality.value, 10) / 100,
+      alpha: exportAlpha.value,
+      background: exportBackground.value,
+      maxEdge: parseInt(exportMaxEdge.value, 10) || 0
+    };
+  }
+
+  /**
+   * Fill the export controls from the last used options
+   */
+  function setupExportPanel(options) {
+    Object.entries(HiResExport.FORMATS).forEach(([id, format]) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = format.label;
+      exportFormat.appendChild(option);
+    });
+
+    exportFormat.value = options.format;
+    exportQuality.value = Math.round(options.quality * 100);
+    exportAlpha.value = options.alpha;
+    exportBackground.value = options.background;
+    exportMaxEdge.value = options.maxEdge || '';
+    syncExportControls();
+
+    [exportFormat, exportQuality, exportAlpha, exportBackground, exportMaxEdge].forEach(input => {
+      input.addEventListener('input', () => {
+        syncExportControls();
+        scheduleExportEstimate();
+      });
+      // Only on commit - a dragged slider would exceed storage.sync's write quota
+      input.addEventListener('change', () => HiResSettings.save({ export: readExportOptions() }));
+    });
+  }
+
+  function syncExportControls() {
+    const format = HiResExport.FORMATS[exportFormat.value];
+    exportQuality.disabled = !format.lossy;
+    exportQualityValue.textContent = format.lossy ? exportQuality.value : '—';
+    // JPEG has no alpha channel - it is always flattened
+    exportAlpha.disabled = !format.alpha;
+    if (!format.alpha) exportAlpha.value = 'strip';
+    exportBackground.disabled = exportAlpha.value !== 'strip';
+    exportBtnLabel.textContent = `Save as ${format.label}`;
+  }
+
+  /**
+   * Encode with the current options (or reuse the encode already running for them)
+   */
+  function encodeExport() {
+    const options = readExportOptions();
+    const key = JSON.stringify(options);
+    if (!exportJob || exportJob.key !== key) {
+      exportJob = {
+        key,
+        promise: getResultBlob(lastResult).then(blob => HiResExport.encode(blob, options))
+      };
+    }
+    return exportJob.promise;
+  }
+
+  /**
+   * Re-encode shortly after the options settle and show the real output size
+   */
+  function scheduleExportEstimate() {
+    clearTimeout(exportTimer);
+    exportEstimate.className = 'export-estimate';
+    exportEstimate.textContent = 'Estimating size...';
+
+    exportTimer = setTimeout(async () => {
+      const job = encodeExport();
+      try {
+        const [encoded, original] = await Promise.all([job, getResultBlob(lastResult)]);
+        if (job !== exportJob?.promise) return;
+        const saving = Math.round((1 - encoded.blob.size / original.size) * 100);
+        exportEstimate.textContent = `${formatBytes(encoded.blob.size)} · ${encoded.width} × ${encoded.height}` +
+          ` (${saving >= 0 ? `${saving}% smaller` : `${-saving}% larger`} than ${formatBytes(original.size)})`;
+      } catch (error) {
+        if (job !== exportJob?.promise) return;
+        exportEstimate.className = 'export-estimate fail';
+        exportEstimate.textContent = error.message;
+      }
+    }, 400);
+  }
+
+  /**
+   * Save the re-encoded result
+   */
+  async function handleExport() {
+    if (!lastResult) return;
+
+    exportBtn.disabled = true;
+    try {
+      const encoded = await encodeExport();
+      const url = URL.createObjectURL(await withMetadata(encoded.blob, lastResult));
+      await HiResDownloads.download(url, 'upscaled', {
+        ...sourceVars(),
+        width: encoded.width,
+        height: encoded.height,
+        scale: lastResult.scale,
+        provider: lastResult.provider,
+        ext: HiResDownloads.MIME_EXTENSIONS[encoded.blob.type]
       });
+      // The download has its own copy once started
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (error) {
+      exportEstimate.className = 'export-estimate fail';
+      exportEstimate.textContent = `Export failed: ${error.message}`;
+    } finally {
+      exportBtn.disabled = false;
     }
   }
 
+  /**
+   * Open the options page
+   */
+  function showApiConfig(e) {
+    e?.preventDefault();
+    chrome.runtime.openOptionsPage();
+  }
+
   /**
    * Initialize
    */
   function init() {
     const imageUrl = getImageUrlFromParams();
 
-    if (!imageUrl) {
-      sourcePlaceholder.innerHTML = `
-        <div class="error-state">
-          <div class="error-icon">🖼</div>
-          <div class="error-title">No image provided</div>
-          <div class="error-detail">Right-click an image on Google Images and select "Upscale with HiRes"</div>
-        </div>
-      `;
-      return;
-    }
-
-    loadSourceImage(imageUrl);
     setupScaleSelector();
+    setupTargetControls();
+    setupCropTool();
+    setupCompare();
+    const ready = applyDefaultScale()
+      .then(applyDefaultPreset)
+      .then(syncPresets);
+    HiResSettings.onChange(() => {
+      renderPlanSummary();
+      syncPresets();
+    });
+
+    presetSelect.addEventListener('change', async () => {
+      selectedPreset = presetSelect.value;
+      presetSelect.title = HiResPresets.describe(HiResPresets.get(await HiResSettings.load(), selectedPreset));
+    });
+
+    // The studio also works standalone: paste, drop or pick images
+    const workspace = document.querySelector('.workspace');
+    HiResImageInput.attach({
+      dropTarget: workspace,
+      fileInput,
+      onImages: handleNewImages,
+      onDragState: (dragging) => workspace.classList.toggle('dragging', dragging)
+    });
+    addImagesBtn.addEventListener('click', () => fileInput.click());
+    processAllBtn.addEventListener('click', handleProcessAll);
 
     processBtn.addEventListener('click', handleProcess);
+    cancelBtn.addEventListener('click', handleCancel);
     downloadBtn.addEventListener('click', handleDownload);
+    exportBtn.addEventListener('click', handleExport);
+    HiResSettings.load().then(settings => setupExportPanel(settings.export));
     configureLink?.addEventListener('click', showApiConfig);
+
+    if (!imageUrl) {
+      showEmptySource();
+      return;
+    }
+
+    // Opened from the context menu or history: auto-start unless that guard is off
+    // (quick saves always start - that is what was asked for)
+    ready.then(async () => {
+      const [item] = addToQueue([{
+        url: imageUrl,
+        file: null,
+        name: imageUrl,
+        query: getSearchQueryFromParams(),
+        // Re-runs from history bring their region along
+        crop: HiResCropTool.parse(new URLSearchParams(window.location.search).get('crop'))
+      }]);
+      await selectSource(item);
+      const { guards } = await HiResSettings.load();
+      if (quickSave && source === item) {
+        runQuickSave();
+      } else if (guards.autoStart && source === item) {
+        handleProcess();
+      } else {
+        outputPlaceholder.querySelector('.placeholder-text').textContent = 'Pick a scale and press Process Image';
+      }
+    }).catch(() => {
+      if (quickSave) revealTab();
+    });
   }
 
   init();